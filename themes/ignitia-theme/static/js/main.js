@@ -1,39 +1,18 @@
-// Mobile navigation toggle
+// The mobile menu is handled by NavigationManager and anchor links by
+// ScrollManager below
 document.addEventListener("DOMContentLoaded", function () {
-  const navToggle = document.getElementById("nav-toggle");
-  const navMenu = document.getElementById("nav-menu");
-
-  if (navToggle && navMenu) {
-    navToggle.addEventListener("click", function () {
-      navMenu.classList.toggle("active");
-      navToggle.classList.toggle("active");
-    });
-  }
-
-  // Copy to clipboard functionality
-  const copyButtons = document.querySelectorAll(".copy-btn");
-  copyButtons.forEach((button) => {
-    button.addEventListener("click", function () {
-      const text = this.getAttribute("data-clipboard-text");
-      navigator.clipboard.writeText(text).then(() => {
-        this.textContent = "✅";
-        setTimeout(() => {
-          this.textContent = "📋";
-        }, 2000);
-      });
-    });
-  });
+  // Copy to clipboard functionality; delegated so buttons in pages loaded
+  // by PageRouter work too
+  document.addEventListener("click", function (e) {
+    const button = e.target.closest(".copy-btn");
+    if (!button) return;
 
-  // Smooth scrolling for anchor links
-  document.querySelectorAll('a[href^="#"]').forEach((anchor) => {
-    anchor.addEventListener("click", function (e) {
-      e.preventDefault();
-      const target = document.querySelector(this.getAttribute("href"));
-      if (target) {
-        target.scrollIntoView({
-          behavior: "smooth",
-        });
-      }
+    const text = button.getAttribute("data-clipboard-text");
+    navigator.clipboard.writeText(text).then(() => {
+      button.textContent = "✅";
+      setTimeout(() => {
+        button.textContent = "📋";
+      }, 2000);
     });
   });
 });
@@ -66,11 +45,22 @@ document.addEventListener("DOMContentLoaded", function () {
 // Copy Button Functionality
 class CodeCopyButtons {
   constructor() {
+    // Blocks longer than this start collapsed
+    this.collapseAfter = 25;
+    this.shellLanguages = ["bash", "sh", "shell", "zsh", "console"];
+    this.playground = (window.IgnitiaConfig || {}).playground || null;
+    this.lineChains = new WeakMap();
+    this.blockCount = 0;
     this.init();
   }
 
   init() {
     this.addCopyButtons();
+    this.highlightFromHash();
+
+    window.addEventListener("hashchange", () => this.highlightFromHash(), {
+      signal: PageRouter.signal,
+    });
   }
 
   addCopyButtons() {
@@ -81,291 +71,4289 @@ class CodeCopyButtons {
       const pre = codeBlock.parentElement;
 
       // Skip if copy button already exists
-      if (pre.querySelector(".copy-button")) {
+      if (pre.querySelector(".copy-button") || pre.closest(".code-block")) {
+        return;
+      }
+
+      // Docs get the full toolbar; other blocks keep a plain copy button
+      if (pre.closest(".prose")) {
+        this.addToolbar(pre, codeBlock);
         return;
       }
 
       // Make pre element relative for absolute positioning
       pre.style.position = "relative";
+      pre.appendChild(this.createCopyButton(codeBlock));
+    });
+  }
+
+  createCopyButton(
+    codeBlock,
+    label = "Copy",
+    format = "code",
+    ariaLabel = "Copy code to clipboard",
+  ) {
+    const copyButton = document.createElement("button");
+    copyButton.className = "copy-button";
+    copyButton.textContent = label;
+    copyButton.dataset.label = label;
+    copyButton.setAttribute("aria-label", ariaLabel);
+
+    // Add click event
+    copyButton.addEventListener("click", () => {
+      this.copyCode(codeBlock, copyButton, format);
+    });
+
+    return copyButton;
+  }
+
+  addToolbar(pre, codeBlock) {
+    const id = `code-${++this.blockCount}`;
+    const lang = this.getLanguage(pre, codeBlock);
+    const name = pre.dataset.name || codeBlock.dataset.name;
+
+    const lines = this.splitLines(codeBlock, id);
+    const hiddenLines = lang === "rust" ? this.markHiddenLines(lines) : 0;
+    const transcript =
+      this.shellLanguages.includes(lang) && this.markTranscript(lines);
+
+    const figure = document.createElement("figure");
+    figure.className = "code-block";
+    figure.id = id;
+    figure.dataset.lang = lang;
+    figure.classList.toggle("transcript", transcript);
+    pre.id = `${id}-pre`;
+    pre.parentNode.insertBefore(figure, pre);
+
+    const toolbar = document.createElement("figcaption");
+    toolbar.className = "code-toolbar";
+
+    if (name) {
+      const filename = document.createElement("span");
+      filename.className = "code-filename";
+      filename.textContent = name;
+      toolbar.appendChild(filename);
+    }
+
+    if (lang) {
+      const badge = document.createElement("span");
+      badge.className = "code-lang";
+      badge.textContent = lang;
+      toolbar.appendChild(badge);
+    }
+
+    const actions = document.createElement("span");
+    actions.className = "code-actions";
+    actions.append(
+      this.createToggle("#", "Toggle line numbers", (on) =>
+        figure.classList.toggle("line-numbers", on),
+      ),
+      this.createToggle("Wrap", "Toggle soft wrap", (on) =>
+        figure.classList.toggle("wrap", on),
+      ),
+    );
+
+    // Copy follows what is shown: hidden lines only when revealed
+    if (hiddenLines) {
+      actions.appendChild(
+        this.createToggle(`+${hiddenLines}`, "Show hidden lines", (on) =>
+          figure.classList.toggle("show-hidden", on),
+        ),
+      );
+    }
+
+    actions.appendChild(this.createCopyButton(codeBlock));
 
-      // Create copy button
-      const copyButton = document.createElement("button");
-      copyButton.className = "copy-button";
-      copyButton.textContent = "Copy";
-      copyButton.setAttribute("aria-label", "Copy code to clipboard");
+    if (lang === "rust" && !this.isProgram(this.getCopyText(codeBlock, true))) {
+      actions.appendChild(
+        this.createCopyButton(
+          codeBlock,
+          "main.rs",
+          "program",
+          "Copy as a complete src/main.rs",
+        ),
+      );
+    }
 
-      // Add click event
-      copyButton.addEventListener("click", () => {
-        this.copyCode(codeBlock, copyButton);
+    if (lang === "rust" && this.playground && this.getPlaygroundEndpoint()) {
+      const runButton = document.createElement("button");
+      runButton.type = "button";
+      runButton.className = "code-action run-button";
+      runButton.textContent = "Run";
+      runButton.setAttribute("aria-label", "Run this example");
+      runButton.addEventListener("click", () => {
+        this.runCode(figure, codeBlock, runButton);
       });
+      actions.appendChild(runButton);
+    }
+    toolbar.appendChild(actions);
+
+    figure.append(toolbar, pre);
+
+    if (lines.length > this.collapseAfter) {
+      this.addExpandButton(figure, pre, lines.length);
+    }
+
+    // Line numbers link to the line; shift-click selects a range
+    pre.addEventListener("click", (e) => {
+      const number = e.target.closest(".code-line-number");
+      if (!number) return;
+
+      const line = Number(number.dataset.line);
+      const current = this.parseHash();
+      const range =
+        e.shiftKey && current && current.id === id
+          ? [Math.min(current.start, line), Math.max(current.start, line)]
+          : [line, line];
+      const hash =
+        range[0] === range[1]
+          ? `#${id}-L${range[0]}`
+          : `#${id}-L${range[0]}-L${range[1]}`;
+
+      history.pushState({}, "", hash);
+      this.highlightFromHash(false);
+    });
+  }
+
+  createToggle(label, title, onChange) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "code-action";
+    button.textContent = label;
+    button.title = title;
+    button.setAttribute("aria-label", title);
+    button.setAttribute("aria-pressed", "false");
+
+    button.addEventListener("click", () => {
+      const on = button.getAttribute("aria-pressed") !== "true";
+      button.setAttribute("aria-pressed", String(on));
+      onChange(on);
+    });
+
+    return button;
+  }
+
+  addExpandButton(figure, pre, lineCount) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "code-expand";
+    button.dataset.lines = lineCount;
+    button.setAttribute("aria-controls", pre.id);
+    figure.appendChild(button);
+
+    pre.style.setProperty("--collapsed-lines", this.collapseAfter);
+    this.setBlockExpanded(figure, false);
+
+    button.addEventListener("click", () => {
+      const expand = figure.classList.contains("collapsed");
+      this.setBlockExpanded(figure, expand);
+      if (!expand) figure.scrollIntoView({ block: "nearest" });
+    });
+  }
+
+  setBlockExpanded(figure, expanded) {
+    const button = figure.querySelector(":scope > .code-expand");
+    if (!button) return;
+
+    figure.classList.toggle("collapsed", !expanded);
+    button.setAttribute("aria-expanded", String(expanded));
+    button.textContent = expanded
+      ? "Show less"
+      : `Show all ${button.dataset.lines} lines`;
+  }
+
+  // Code generated on the page, e.g. by ServerConfigBuilder: the first call
+  // adds the toolbar, later calls replace the text and keep its state
+  setCode(pre, text) {
+    const codeBlock = pre.querySelector("code");
+    const figure = pre.closest(".code-block");
+    codeBlock.textContent = text;
+
+    if (!figure) {
+      this.addToolbar(pre, codeBlock);
+      return;
+    }
+
+    const lines = this.splitLines(codeBlock, figure.id);
+    const expand = figure.querySelector(":scope > .code-expand");
+    if (expand) {
+      expand.dataset.lines = lines.length;
+      this.setBlockExpanded(figure, !figure.classList.contains("collapsed"));
+    }
+  }
+
+  getLanguage(pre, codeBlock) {
+    const lang = pre.dataset.lang || codeBlock.dataset.lang;
+    if (lang) return lang;
+
+    const match = codeBlock.className.match(/language-([\w+-]+)/);
+    return match ? match[1] : "";
+  }
+
+  // Re-wrap the highlighted markup one span per line so lines can be
+  // numbered, linked and highlighted; tokens spanning lines are split
+  splitLines(codeBlock, id) {
+    const lines = [];
+    const newLine = () => {
+      const line = document.createElement("span");
+      line.className = "code-line";
+      lines.push(line);
+      return line;
+    };
+    let current = newLine();
+
+    const visit = (node, path) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        node.textContent.split("\n").forEach((part, i) => {
+          if (i > 0) current = newLine();
+          if (part) {
+            this.getLineContainer(current, path).appendChild(
+              document.createTextNode(part),
+            );
+          }
+        });
+      } else if (node.nodeType === Node.ELEMENT_NODE) {
+        node.childNodes.forEach((child) => visit(child, [...path, node]));
+      }
+    };
+    Array.from(codeBlock.childNodes).forEach((child) => visit(child, []));
+
+    // Drop the empty line after the final newline
+    if (lines.length > 1 && !lines[lines.length - 1].textContent) {
+      lines.pop();
+    }
+
+    codeBlock.textContent = "";
+    lines.forEach((line, index) => {
+      const number = document.createElement("span");
+      number.className = "code-line-number";
+      number.id = `${id}-L${index + 1}`;
+      number.dataset.line = index + 1;
+      number.setAttribute("aria-hidden", "true");
+      line.prepend(number);
+
+      // Lines marked with Zola's `hl_lines` arrive wrapped in <mark>
+      if (line.querySelector("mark:not(.search-highlight)")) {
+        line.classList.add("highlighted");
+      }
+
+      line.appendChild(document.createTextNode("\n"));
+      codeBlock.appendChild(line);
+    });
+
+    return lines;
+  }
+
+  getLineContainer(line, path) {
+    const chain = this.lineChains.get(line) || [];
+    this.lineChains.set(line, chain);
+
+    let parent = line;
+    path.forEach((element, depth) => {
+      if (chain[depth] && chain[depth].source === element) {
+        parent = chain[depth].clone;
+        return;
+      }
+
+      chain.length = depth;
+      const clone = element.cloneNode(false);
+      clone.removeAttribute("id");
+      parent.appendChild(clone);
+      chain.push({ source: element, clone });
+      parent = clone;
+    });
+    chain.length = path.length;
+
+    return parent;
+  }
+
+  parseHash() {
+    const match = window.location.hash.match(
+      /^#(code-\d+)-L(\d+)(?:-L(\d+))?$/,
+    );
+    if (!match) return null;
+
+    const start = Number(match[2]);
+    const end = match[3] ? Number(match[3]) : start;
+    return {
+      id: match[1],
+      start: Math.min(start, end),
+      end: Math.max(start, end),
+    };
+  }
+
+  highlightFromHash(scroll = true) {
+    document
+      .querySelectorAll(".code-line.targeted")
+      .forEach((line) => line.classList.remove("targeted"));
+
+    const target = this.parseHash();
+    const figure = target && document.getElementById(target.id);
+    if (!figure || !figure.classList.contains("code-block")) return;
+
+    if (target.end > this.collapseAfter) this.setBlockExpanded(figure, true);
+
+    const lines = figure.querySelectorAll(".code-line");
+    for (let i = target.start; i <= target.end && i <= lines.length; i++) {
+      lines[i - 1].classList.add("targeted");
+    }
+
+    const first = lines[target.start - 1];
+    if (scroll && first) first.scrollIntoView({ block: "center" });
+  }
+
+  // Rustdoc-style hidden lines: "# " prefixed lines outside string literals
+  markHiddenLines(lines) {
+    let count = 0;
+
+    lines.forEach((line) => {
+      const text = line.textContent.replace(/\n$/, "");
+      if (!/^#(?: |$)/.test(text)) return;
+
+      const walker = document.createTreeWalker(line, NodeFilter.SHOW_TEXT);
+      const first = walker.nextNode();
+      if (first && first.parentElement.closest(".z-string")) return;
+
+      line.classList.add("hidden-line");
+      count++;
+    });
+
+    return count;
+  }
+
+  // Console transcripts have "$ " prompts; other lines are output
+  markTranscript(lines) {
+    const texts = lines.map((line) => line.textContent);
+    if (!texts.some((text) => text.startsWith("$ "))) return false;
+
+    let continued = false;
+    texts.forEach((text, index) => {
+      const isCommand = text.startsWith("$ ") || continued;
+      continued = isCommand && /\\\n?$/.test(text);
+      lines[index].classList.toggle("console-output", !isCommand);
+    });
+
+    return true;
+  }
+
+  getCopyText(codeBlock, includeHidden = false) {
+    const figure = codeBlock.closest(".code-block");
+    if (!figure) return codeBlock.textContent;
+
+    const showHidden =
+      includeHidden || figure.classList.contains("show-hidden");
+    const transcript = figure.classList.contains("transcript");
+    const lines = [];
+
+    figure.querySelectorAll(".code-line").forEach((line) => {
+      let text = line.textContent.replace(/\n$/, "");
+
+      if (line.classList.contains("hidden-line")) {
+        if (!showHidden) return;
+        text = text.replace(/^# ?/, "");
+      }
+
+      if (transcript) {
+        if (line.classList.contains("console-output")) return;
+        text = text.replace(/^\$ /, "");
+      }
+
+      lines.push(text);
+    });
+
+    return lines.join("\n");
+  }
+
+  isProgram(code) {
+    return /\bfn\s+main\s*\(/.test(code);
+  }
+
+  // Wrap a Rust fragment into a complete src/main.rs: imports and items stay
+  // at the top level, loose statements move into an async main
+  buildProgram(code) {
+    if (this.isProgram(code)) return `${code}\n`;
+
+    const uses = [];
+    const items = [];
+    const body = [];
+    const pending = [];
+    const itemStart =
+      /^(#!?\[|\/\/\/|pub\b|async fn|fn|struct|enum|impl|trait|type|const|static|mod|macro_rules!|unsafe|extern)/;
+    let target = body;
+    let depth = 0;
+
+    code.split("\n").forEach((line) => {
+      const startsChunk = depth === 0 && /^\S/.test(line);
+
+      if (startsChunk && /^(\/\/|#\[)/.test(line)) {
+        // Comments and attributes travel with the chunk that follows them
+        pending.push(line);
+        return;
+      }
+
+      if (startsChunk) {
+        target = line.startsWith("use ")
+          ? uses
+          : itemStart.test(line)
+            ? items
+            : body;
+        target.push(...pending.splice(0));
+      }
 
-      pre.appendChild(copyButton);
+      target.push(line);
+      depth = Math.max(0, depth + this.countBrackets(line));
     });
+    body.push(...pending);
+
+    if (!uses.some((line) => /^use ignitia::prelude\b/.test(line))) {
+      uses.unshift("use ignitia::prelude::*;");
+    }
+
+    const trim = (lines) => lines.join("\n").trim();
+    const statements = trim(body)
+      .split("\n")
+      .map((line) => (line ? `    ${line}` : line))
+      .join("\n");
+
+    return [
+      trim(uses),
+      trim(items),
+      [
+        "#[tokio::main]",
+        "async fn main() -> Result<(), Box<dyn std::error::Error>> {",
+        statements,
+        "    Ok(())",
+        "}",
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    ]
+      .filter(Boolean)
+      .join("\n\n")
+      .concat("\n");
   }
 
-  async copyCode(codeBlock, button) {
-    const code = codeBlock.textContent;
+  countBrackets(line) {
+    const code = line
+      .replace(/"(?:\\.|[^"\\])*"/g, "")
+      .replace(/'(?:\\.|[^'\\])'/g, "")
+      .replace(/\/\/.*$/, "");
+    const opens = (code.match(/[{([]/g) || []).length;
+    const closes = (code.match(/[})\]]/g) || []).length;
+    return opens - closes;
+  }
+
+  async copyCode(codeBlock, button, format = "code") {
+    let code = this.getCopyText(codeBlock);
+    if (format === "program") {
+      code = this.buildProgram(this.getCopyText(codeBlock, true));
+    }
 
     try {
-      await navigator.clipboard.writeText(code);
+      await this.writeClipboard(code);
       button.textContent = "Copied!";
       button.classList.add("copied");
 
       setTimeout(() => {
-        button.textContent = "Copy";
+        button.textContent = button.dataset.label;
         button.classList.remove("copied");
       }, 2000);
     } catch (err) {
       console.error("Failed to copy code: ", err);
       button.textContent = "Error";
       setTimeout(() => {
-        button.textContent = "Copy";
+        button.textContent = button.dataset.label;
       }, 2000);
     }
   }
-}
 
-// Table of Contents Toggle
-class TOCToggle {
-  constructor() {
-    this.init();
+  // A stand-in executor can be set per browser with
+  // localStorage["playground-endpoint"], e.g. http://localhost:8000/execute
+  getPlaygroundEndpoint() {
+    try {
+      const override = localStorage.getItem("playground-endpoint");
+      if (override) return override;
+    } catch (error) {
+      // Storage can be blocked; use the configured executor
+    }
+
+    return this.playground.endpoint;
   }
 
-  init() {
-    const tocContainers = document.querySelectorAll(".toc-container");
+  buildRunRequest(code) {
+    const { channel = "stable", edition = "2021" } = this.playground;
+    const features = new Set();
+    for (const match of code.matchAll(/feature\s*=\s*"([\w-]+)"/g)) {
+      features.add(match[1]);
+    }
 
-    tocContainers.forEach((container) => {
-      this.addToggleButton(container);
-    });
+    return {
+      channel,
+      edition,
+      mode: "debug",
+      crateType: "bin",
+      tests: false,
+      backtrace: false,
+      code,
+      // Extensions for local stand-ins; the Playground ignores them
+      dependencies: {
+        ignitia: {
+          version: window.IgnitiaConfig.version,
+          features: Array.from(features),
+        },
+      },
+      requests: this.findRequests(code),
+    };
   }
 
-  addToggleButton(container) {
-    const heading = container.querySelector("h3");
-    const tocContent = container.querySelector(".toc");
+  // Parameter-free GET routes of a server example, for the stand-in to call
+  findRequests(code) {
+    if (!/Server::new/.test(code)) return [];
 
-    if (!heading || !tocContent) return;
+    const paths = new Set();
+    for (const match of code.matchAll(/\.get\(\s*"([^"{}:*]*)"/g)) {
+      paths.add(match[1]);
+    }
 
-    // Create toggle button
-    const toggleButton = document.createElement("button");
-    toggleButton.className = "toc-toggle";
-    toggleButton.innerHTML = "▼";
-    toggleButton.setAttribute("aria-label", "Toggle table of contents");
+    return Array.from(paths)
+      .slice(0, 5)
+      .map((path) => ({ method: "GET", path }));
+  }
 
-    // Add button to heading
-    heading.appendChild(toggleButton);
+  async runCode(figure, codeBlock, button) {
+    const program = this.buildProgram(this.getCopyText(codeBlock, true));
+    const output = this.getOutputPanel(figure);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), 60000);
 
-    // Add content wrapper class
-    tocContent.className += " toc-content expanded";
+    button.disabled = true;
+    button.textContent = "Running…";
+    this.renderOutput(output, { status: "Running…" });
 
-    // Add click event
-    toggleButton.addEventListener("click", () => {
-      this.toggleTOC(tocContent, toggleButton);
-    });
-  }
+    try {
+      const response = await fetch(this.getPlaygroundEndpoint(), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(this.buildRunRequest(program)),
+        signal: controller.signal,
+      });
 
-  toggleTOC(tocContent, button) {
-    const isExpanded = tocContent.classList.contains("expanded");
+      if (!response.ok) {
+        throw new Error(`Executor responded with HTTP ${response.status}`);
+      }
 
-    if (isExpanded) {
-      tocContent.classList.remove("expanded");
-      tocContent.classList.add("collapsed");
-      button.classList.add("collapsed");
-      button.innerHTML = "▶";
-    } else {
-      tocContent.classList.remove("collapsed");
-      tocContent.classList.add("expanded");
-      button.classList.remove("collapsed");
-      button.innerHTML = "▼";
+      this.renderOutput(output, await response.json());
+    } catch (err) {
+      this.renderOutput(output, {
+        error:
+          err.name === "AbortError"
+            ? "The executor did not answer within 60 seconds."
+            : `Could not run the example: ${err.message}`,
+      });
+    } finally {
+      clearTimeout(timer);
+      button.disabled = false;
+      button.textContent = "Run";
     }
   }
-}
 
-// // Mobile Navigation Toggle
-// class MobileNav {
-//   constructor() {
-//     this.init();
-//   }
+  getOutputPanel(figure) {
+    let panel = figure.querySelector(":scope > .code-output");
+    if (panel) return panel;
 
-//   init() {
-//     const navToggle = document.getElementById("nav-toggle");
-//     const navMenu = document.getElementById("nav-menu");
+    panel = document.createElement("div");
+    panel.className = "code-output";
+    panel.setAttribute("role", "status");
+    panel.setAttribute("aria-live", "polite");
+    figure.appendChild(panel);
 
-//     if (navToggle && navMenu) {
-//       navToggle.addEventListener("click", () => {
-//         navMenu.classList.toggle("active");
-//         navToggle.classList.toggle("active");
-//       });
-//     }
-//   }
-// }
+    return panel;
+  }
 
-// // Smooth Scrolling for Anchor Links
-// class SmoothScroll {
-//   constructor() {
-//     this.init();
-//   }
+  // Accepts Playground `execute` ({ success, stdout, stderr }) and
+  // `evaluate.json` ({ result, error }) responses; stand-ins may add
+  // `responses` for the HTTP requests they made
+  renderOutput(panel, result) {
+    panel.textContent = "";
 
-//   init() {
-//     document.querySelectorAll('a[href^="#"]').forEach((anchor) => {
-//       anchor.addEventListener("click", (e) => {
-//         e.preventDefault();
-//         const target = document.querySelector(anchor.getAttribute("href"));
-//         if (target) {
-//           target.scrollIntoView({
-//             behavior: "smooth",
-//             block: "start",
-//           });
-//         }
-//       });
-//     });
-//   }
-// }
+    const header = document.createElement("div");
+    header.className = "code-output-header";
+    header.textContent = result.status || "Output";
 
-// // Initialize everything when DOM is ready
-// document.addEventListener("DOMContentLoaded", function () {
-//   new CodeCopyButtons();
-//   new TOCToggle();
-//   new MobileNav();
-//   new SmoothScroll();
-// });
+    const close = document.createElement("button");
+    close.type = "button";
+    close.className = "code-output-close";
+    close.textContent = "×";
+    close.setAttribute("aria-label", "Close output");
+    close.addEventListener("click", () => panel.remove());
+    header.appendChild(close);
+    panel.appendChild(header);
 
-// Theme Management System
-class ThemeManager {
-  constructor() {
-    this.themes = ["light", "dark"];
-    this.currentTheme = this.getThemePreference();
-    this.init();
-  }
+    if (result.status) return;
 
-  getThemePreference() {
-    // Check localStorage first
-    const stored = localStorage.getItem("theme");
-    if (stored && this.themes.includes(stored)) {
-      return stored;
-    }
+    const addSection = (title, text, isError = false) => {
+      if (!text) return;
 
-    // Check system preference
-    if (
-      window.matchMedia &&
-      window.matchMedia("(prefers-color-scheme: dark)").matches
-    ) {
-      return "dark";
+      const heading = document.createElement("div");
+      heading.className = "code-output-title";
+      heading.textContent = title;
+
+      const body = document.createElement("pre");
+      body.className = isError ? "code-output-body error" : "code-output-body";
+      body.textContent = text;
+
+      panel.append(heading, body);
+    };
+
+    if (result.error && result.stderr === undefined) {
+      addSection("Error", result.error, true);
     }
+    addSection("Compiler", result.stderr, result.success === false);
+    addSection(
+      "Output",
+      result.stdout !== undefined ? result.stdout : result.result,
+    );
+
+    (result.responses || []).forEach((response) => {
+      addSection(
+        `${response.method || "GET"} ${response.path} → ${response.status}`,
+        response.body,
+        response.status >= 400,
+      );
+    });
 
-    return "light";
+    if (panel.children.length === 1) {
+      addSection("Output", "(no output)");
+    }
   }
 
-  setTheme(theme) {
-    if (!this.themes.includes(theme)) return;
+  async writeClipboard(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+      try {
+        await navigator.clipboard.writeText(text);
+        return;
+      } catch (err) {
+        // Permission denied or unfocused document; try the legacy path
+      }
+    }
 
-    this.currentTheme = theme;
-    document.documentElement.setAttribute("data-theme", theme);
-    localStorage.setItem("theme", theme);
+    // Fallback for non-secure contexts and older browsers
+    const textarea = document.createElement("textarea");
+    textarea.value = text;
+    textarea.setAttribute("readonly", "");
+    textarea.style.position = "fixed";
+    textarea.style.top = "0";
+    textarea.style.opacity = "0";
+    document.body.appendChild(textarea);
 
-    // Update toggle button aria-label
-    const toggleButton = document.getElementById("theme-toggle");
-    if (toggleButton) {
-      toggleButton.setAttribute(
-        "aria-label",
-        `Switch to ${theme === "light" ? "dark" : "light"} theme`,
-      );
+    const selection = document.getSelection();
+    const previous = selection.rangeCount ? selection.getRangeAt(0) : null;
+    textarea.select();
+
+    let copied = false;
+    try {
+      copied = document.execCommand("copy");
+    } finally {
+      textarea.remove();
+      if (previous) {
+        selection.removeAllRanges();
+        selection.addRange(previous);
+      }
     }
 
-    // Dispatch custom event for other components
-    window.dispatchEvent(new CustomEvent("themechange", { detail: { theme } }));
+    if (!copied) throw new Error("Clipboard is unavailable");
   }
+}
 
-  toggleTheme() {
-    const newTheme = this.currentTheme === "light" ? "dark" : "light";
-    this.setTheme(newTheme);
+// Tabbed code groups rendered by the code_tabs shortcode
+class CodeTabs {
+  constructor() {
+    this.storageKey = "code-tabs";
+    this.groups = [];
+    this.init();
+  }
+
+  init() {
+    document.querySelectorAll(".code-group").forEach((group, index) => {
+      this.setupGroup(group, index);
+    });
+
+    // Each group opens on the most recently chosen label it offers
+    const preferred = this.loadPreferred();
+    this.groups.forEach((group) => {
+      const index = preferred
+        .map((label) => this.findLabel(group, label))
+        .find((found) => found !== -1);
+      this.select(group, index === undefined ? 0 : index);
+    });
+  }
+
+  setupGroup(element, groupIndex) {
+    const panels = Array.from(
+      element.querySelectorAll(":scope > .code-block, :scope > pre"),
+    );
+    if (panels.length < 2) return;
+
+    const names = (element.dataset.labels || "")
+      .split("|")
+      .map((name) => name.trim())
+      .filter(Boolean);
+
+    const tablist = document.createElement("div");
+    tablist.className = "code-tabs";
+    tablist.setAttribute("role", "tablist");
+    tablist.setAttribute("aria-label", "Code variants");
+
+    const labels = panels.map(
+      (panel, index) => names[index] || this.getFallbackLabel(panel),
+    );
+    const group = { element, panels, tabs: [], labels: [] };
+
+    panels.forEach((panel, index) => {
+      // Labels must tell the tabs apart for syncing to work
+      const label =
+        labels.indexOf(labels[index]) === index
+          ? labels[index]
+          : `Example ${index + 1}`;
+      const tab = document.createElement("button");
+      tab.type = "button";
+      tab.className = "code-tab";
+      tab.id = `code-group-${groupIndex + 1}-tab-${index + 1}`;
+      tab.textContent = label;
+      tab.setAttribute("role", "tab");
+
+      panel.id = panel.id || `code-group-${groupIndex + 1}-panel-${index + 1}`;
+      panel.setAttribute("role", "tabpanel");
+      panel.setAttribute("aria-labelledby", tab.id);
+      tab.setAttribute("aria-controls", panel.id);
+
+      tab.addEventListener("click", () => this.choose(label, tab));
+
+      group.tabs.push(tab);
+      group.labels.push(label);
+      tablist.appendChild(tab);
+    });
+
+    tablist.addEventListener("keydown", (e) => this.handleKeydown(e, group));
+
+    element.prepend(tablist);
+    this.groups.push(group);
+  }
+
+  getFallbackLabel(panel) {
+    const filename = panel.querySelector(".code-filename");
+    if (filename) return filename.textContent;
+
+    return panel.dataset.lang || "Example";
+  }
+
+  findLabel(group, label) {
+    const wanted = label.toLowerCase();
+    return group.labels.findIndex((name) => name.toLowerCase() === wanted);
+  }
+
+  // Switch every group offering this label and remember the choice
+  choose(label, sourceTab) {
+    const before = sourceTab.getBoundingClientRect().top;
+
+    this.groups.forEach((group) => {
+      const index = this.findLabel(group, label);
+      if (index !== -1) this.select(group, index);
+    });
+
+    // Groups above may change height; keep the clicked tab in place
+    const shift = sourceTab.getBoundingClientRect().top - before;
+    if (shift) window.scrollBy(0, shift);
+
+    this.savePreferred(label);
+  }
+
+  select(group, selected) {
+    group.tabs.forEach((tab, index) => {
+      const active = index === selected;
+      tab.setAttribute("aria-selected", String(active));
+      tab.tabIndex = active ? 0 : -1;
+      group.panels[index].hidden = !active;
+    });
+  }
+
+  handleKeydown(event, group) {
+    const current = group.tabs.indexOf(document.activeElement);
+    if (current === -1) return;
+
+    const last = group.tabs.length - 1;
+    const next = {
+      ArrowRight: current === last ? 0 : current + 1,
+      ArrowLeft: current === 0 ? last : current - 1,
+      Home: 0,
+      End: last,
+    }[event.key];
+    if (next === undefined) return;
+
+    event.preventDefault();
+    group.tabs[next].focus();
+    this.choose(group.labels[next], group.tabs[next]);
+  }
+
+  loadPreferred() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  savePreferred(label) {
+    const preferred = this.loadPreferred().filter(
+      (name) => name.toLowerCase() !== label.toLowerCase(),
+    );
+    preferred.unshift(label);
+    try {
+      localStorage.setItem(
+        this.storageKey,
+        JSON.stringify(preferred.slice(0, 10)),
+      );
+    } catch (error) {
+      // Storage can be blocked or full; the choice still applies to this page
+    }
+  }
+}
+
+// Route playground rendered by the route_playground shortcode. The matching
+// rules live in route-matcher.js, which is loaded on pages that use it.
+class RoutePlayground {
+  constructor() {
+    this.containers = document.querySelectorAll(".route-playground");
+    this.kinds = {
+      static: "Exact static",
+      param: "Parameterized",
+      wildcard: "Wildcard",
+    };
+
+    if (this.containers.length > 0) this.init();
+  }
+
+  async init() {
+    try {
+      await RoutePlayground.loadMatcher();
+    } catch (error) {
+      console.error("Failed to load the route matcher:", error);
+      return;
+    }
+
+    this.containers.forEach((container) => this.mount(container));
+  }
+
+  static loadMatcher() {
+    if (!RoutePlayground.matcherPromise) {
+      RoutePlayground.matcherPromise = new Promise((resolve, reject) => {
+        const script = document.createElement("script");
+        script.src = window.IgnitiaConfig.url("js/route-matcher.js");
+        script.onload = resolve;
+        script.onerror = () => {
+          RoutePlayground.matcherPromise = null;
+          script.remove();
+          reject(new Error(`Could not load ${script.src}`));
+        };
+        document.body.appendChild(script);
+      });
+    }
+    return RoutePlayground.matcherPromise;
+  }
+
+  mount(container) {
+    const routes = document.createElement("textarea");
+    routes.className = "route-playground-routes";
+    routes.spellcheck = false;
+    routes.value = (container.dataset.routes || "")
+      .split("|")
+      .map((route) => route.trim())
+      .filter(Boolean)
+      .join("\n");
+    routes.rows = Math.max(4, routes.value.split("\n").length);
+
+    const path = document.createElement("input");
+    path.type = "text";
+    path.className = "route-playground-path";
+    path.spellcheck = false;
+    path.value = container.dataset.path || "/";
+
+    const output = document.createElement("div");
+    output.className = "route-playground-output";
+    output.setAttribute("role", "status");
+    output.setAttribute("aria-live", "polite");
+
+    container.replaceChildren(
+      this.createField("Routes, one per line", routes),
+      this.createField("Request path", path),
+      output,
+    );
+
+    const update = () => this.render(output, routes.value, path.value);
+    routes.addEventListener("input", update);
+    path.addEventListener("input", update);
+    update();
+  }
+
+  createField(label, control) {
+    const field = document.createElement("label");
+    field.className = "route-playground-field";
+
+    const text = document.createElement("span");
+    text.textContent = label;
+
+    field.append(text, control);
+    return field;
+  }
+
+  render(output, routesText, path) {
+    const matcher = new RouteMatcher(
+      routesText.split("\n").filter((line) => line.trim()),
+    );
+    const result = path.startsWith("/") ? matcher.match(path) : null;
+
+    const summary = document.createElement("p");
+    summary.className = `route-result ${result ? "matched" : "missed"}`;
+    if (!path.startsWith("/")) {
+      summary.textContent = "The request path must start with /";
+    } else if (result) {
+      summary.append("✓ Matches ", this.createCode(result.route.pattern));
+    } else {
+      summary.textContent = "✗ No route matches: 404 Not Found";
+    }
+
+    const children = [summary];
+
+    const names = result ? Object.keys(result.params) : [];
+    if (names.length > 0) {
+      const params = document.createElement("dl");
+      params.className = "route-params";
+      names.forEach((name) => {
+        const term = document.createElement("dt");
+        term.textContent = name;
+        const value = document.createElement("dd");
+        value.append(this.createCode(result.params[name]));
+        params.append(term, value);
+      });
+      children.push(params);
+    }
+
+    if (matcher.routes.length > 0) {
+      const heading = document.createElement("h4");
+      heading.textContent = "Priority order";
+
+      const list = document.createElement("ol");
+      list.className = "route-order";
+      matcher.ordered.forEach((route) => {
+        const item = document.createElement("li");
+        const kind = document.createElement("span");
+        kind.className = `route-kind ${route.kind}`;
+        kind.textContent = this.kinds[route.kind];
+        item.append(this.createCode(route.pattern), kind);
+
+        if (result && route === result.route) {
+          item.classList.add("matched");
+          item.setAttribute("aria-current", "true");
+        }
+        list.appendChild(item);
+      });
+      children.push(heading, list);
+    }
+
+    if (matcher.errors.length > 0) {
+      const errors = document.createElement("ul");
+      errors.className = "route-errors";
+      matcher.errors.forEach((error) => {
+        const item = document.createElement("li");
+        item.append(this.createCode(error.pattern), ` ${error.message}`);
+        errors.appendChild(item);
+      });
+      children.push(errors);
+    }
+
+    output.replaceChildren(...children);
+  }
+
+  createCode(text) {
+    const code = document.createElement("code");
+    code.textContent = text;
+    return code;
+  }
+}
+
+// Server configuration builder rendered by the server_config_builder
+// shortcode. Generates src/main.rs and Cargo.toml from the chosen settings;
+// the output blocks get their toolbar and copy buttons from CodeCopyButtons.
+// Settings that differ from the defaults are kept in the query string so
+// the page URL can be shared.
+class ServerConfigBuilder {
+  constructor(codeBlocks) {
+    this.codeBlocks = codeBlocks;
+    this.containers = document.querySelectorAll(".config-builder");
+    this.fields = this.getFields();
+    this.defaults = Object.fromEntries(
+      this.fields.map((field) => [field.name, field.value]),
+    );
+
+    this.containers.forEach((container, index) => this.mount(container, index));
+  }
+
+  // Defaults follow the ServerConfig reference in server-configuration.md
+  getFields() {
+    const http2 = (settings) => settings.http2;
+    const tls = (settings) => settings.tls !== "none";
+
+    return [
+      { group: "Address", name: "host", label: "Host", value: "127.0.0.1" },
+      { group: "Address", name: "port", label: "Port", value: "8080" },
+      {
+        group: "Protocols",
+        name: "http1",
+        label: "HTTP/1.1",
+        value: true,
+      },
+      { group: "Protocols", name: "http2", label: "HTTP/2", value: true },
+      {
+        group: "Protocols",
+        name: "auto_detect",
+        label: "Automatic protocol detection",
+        value: true,
+      },
+      {
+        group: "Protocols",
+        name: "h2c",
+        label: "HTTP/2 prior knowledge (H2C)",
+        value: false,
+        show: http2,
+      },
+      {
+        group: "HTTP/2",
+        name: "streams",
+        label: "Max concurrent streams",
+        value: "1000",
+        show: http2,
+      },
+      {
+        group: "HTTP/2",
+        name: "frame_kb",
+        label: "Max frame size (KB)",
+        value: "16",
+        show: http2,
+      },
+      {
+        group: "HTTP/2",
+        name: "keep_alive",
+        label: "Keep-alive interval (s)",
+        value: "60",
+        show: http2,
+      },
+      {
+        group: "HTTP/2",
+        name: "keep_alive_timeout",
+        label: "Keep-alive timeout (s)",
+        value: "20",
+        show: http2,
+      },
+      {
+        group: "HTTP/2",
+        name: "adaptive",
+        label: "Adaptive flow control window",
+        value: true,
+        show: http2,
+      },
+      {
+        group: "Limits",
+        name: "body_mb",
+        label: "Max request body (MB)",
+        value: "2",
+      },
+      {
+        group: "TLS",
+        name: "tls",
+        label: "HTTPS",
+        value: "none",
+        options: {
+          none: "Off",
+          files: "Certificate files",
+          "self-signed": "Self-signed (development)",
+        },
+      },
+      {
+        group: "TLS",
+        name: "cert",
+        label: "Certificate",
+        value: "cert.pem",
+        show: (settings) => settings.tls === "files",
+      },
+      {
+        group: "TLS",
+        name: "key",
+        label: "Private key",
+        value: "key.pem",
+        show: (settings) => settings.tls === "files",
+      },
+      {
+        group: "TLS",
+        name: "redirect",
+        label: "Redirect HTTP to HTTPS",
+        value: false,
+        show: tls,
+      },
+      {
+        group: "TLS",
+        name: "https_port",
+        label: "HTTPS port for redirects",
+        value: "443",
+        show: (settings) => tls(settings) && settings.redirect,
+      },
+      {
+        group: "Middleware",
+        name: "cors",
+        label: "CORS",
+        value: "none",
+        options: {
+          none: "Off",
+          permissive: "Permissive (development)",
+          production_api: "Production API",
+          secure_api: "Allowed origins only",
+        },
+      },
+      {
+        group: "Middleware",
+        name: "origins",
+        label: "Allowed origins, comma separated",
+        value: "https://myapp.com",
+        show: (settings) => settings.cors === "secure_api",
+      },
+      {
+        group: "Middleware",
+        name: "websocket",
+        label: "WebSocket endpoint at /ws",
+        value: false,
+      },
+      {
+        group: "Middleware",
+        name: "perf",
+        label: "Performance preset",
+        value: "none",
+        options: {
+          none: "Default",
+          max_rps: "Maximum throughput",
+          low_latency: "Low latency",
+          memory_constrained: "Low memory",
+        },
+      },
+    ];
+  }
+
+  mount(container, index) {
+    const form = document.createElement("form");
+    form.className = "config-builder-form";
+    form.noValidate = true;
+
+    const groups = new Map();
+    this.fields.forEach((field) => {
+      if (!groups.has(field.group)) {
+        const fieldset = document.createElement("fieldset");
+        const legend = document.createElement("legend");
+        legend.textContent = field.group;
+        fieldset.appendChild(legend);
+        groups.set(field.group, fieldset);
+        form.appendChild(fieldset);
+      }
+      groups
+        .get(field.group)
+        .appendChild(this.createField(field, `config-${index}-${field.name}`));
+    });
+
+    const issues = document.createElement("ul");
+    issues.className = "config-builder-issues";
+    issues.setAttribute("role", "status");
+    issues.setAttribute("aria-live", "polite");
+
+    const actions = document.createElement("div");
+    actions.className = "config-builder-actions";
+
+    const linkButton = document.createElement("button");
+    linkButton.type = "button";
+    linkButton.className = "btn btn-secondary";
+    linkButton.textContent = "Copy link";
+    linkButton.addEventListener("click", () => this.copyLink(linkButton));
+
+    const resetButton = document.createElement("button");
+    resetButton.type = "button";
+    resetButton.className = "btn btn-secondary";
+    resetButton.textContent = "Reset";
+    resetButton.addEventListener("click", () => {
+      this.fill(form, this.defaults);
+      update();
+    });
+    actions.append(linkButton, resetButton);
+
+    const output = document.createElement("div");
+    output.className = "config-builder-output";
+
+    const blocks = [
+      { name: "src/main.rs", lang: "rust" },
+      { name: "Cargo.toml", lang: "toml" },
+    ].map(({ name, lang }) => {
+      const pre = document.createElement("pre");
+      pre.dataset.name = name;
+      pre.dataset.lang = lang;
+      const code = document.createElement("code");
+      code.className = `language-${lang}`;
+      pre.appendChild(code);
+      output.appendChild(pre);
+      return pre;
+    });
+
+    container.replaceChildren(form, issues, actions, output);
+
+    const update = () => {
+      const settings = this.read(form);
+      const { errors, warnings } = this.validate(settings);
+
+      this.showFields(form, settings, errors);
+      this.showIssues(issues, errors, warnings);
+      this.saveToUrl(settings);
+
+      const [main, cargo] = blocks;
+      this.setCode(
+        main,
+        Object.keys(errors).length > 0
+          ? "// Fix the highlighted settings to generate the code"
+          : this.buildMain(settings),
+      );
+      this.setCode(cargo, this.buildCargo(settings));
+    };
+
+    this.fill(form, { ...this.defaults, ...this.loadFromUrl() });
+    form.addEventListener("input", update);
+    form.addEventListener("submit", (e) => e.preventDefault());
+    update();
+  }
+
+  createField(field, id) {
+    const wrapper = document.createElement("div");
+    wrapper.className = "config-field";
+    wrapper.dataset.field = field.name;
+
+    const label = document.createElement("label");
+    label.htmlFor = id;
+    label.textContent = field.label;
+
+    let control;
+    if (field.options) {
+      control = document.createElement("select");
+      Object.entries(field.options).forEach(([value, text]) => {
+        control.appendChild(new Option(text, value));
+      });
+    } else {
+      control = document.createElement("input");
+      control.type = typeof field.value === "boolean" ? "checkbox" : "text";
+      control.spellcheck = false;
+    }
+    control.id = id;
+    control.name = field.name;
+
+    const error = document.createElement("small");
+    error.className = "config-field-error";
+    error.id = `${id}-error`;
+    error.hidden = true;
+
+    if (control.type === "checkbox") {
+      wrapper.classList.add("checkbox");
+      wrapper.append(control, label, error);
+    } else {
+      wrapper.append(label, control, error);
+    }
+    return wrapper;
+  }
+
+  read(form) {
+    return Object.fromEntries(
+      this.fields.map(({ name }) => {
+        const control = form.elements[name];
+        return [
+          name,
+          control.type === "checkbox" ? control.checked : control.value.trim(),
+        ];
+      }),
+    );
+  }
+
+  fill(form, settings) {
+    this.fields.forEach(({ name }) => {
+      const control = form.elements[name];
+      if (control.type === "checkbox") {
+        control.checked = Boolean(settings[name]);
+      } else {
+        control.value = settings[name];
+      }
+    });
+  }
+
+  showFields(form, settings, errors) {
+    this.fields.forEach((field) => {
+      const control = form.elements[field.name];
+      const wrapper = control.closest(".config-field");
+      const error = wrapper.querySelector(".config-field-error");
+
+      wrapper.hidden = field.show ? !field.show(settings) : false;
+      error.hidden = !errors[field.name];
+      error.textContent = errors[field.name] || "";
+
+      if (errors[field.name]) {
+        control.setAttribute("aria-invalid", "true");
+        control.setAttribute("aria-describedby", error.id);
+      } else {
+        control.removeAttribute("aria-invalid");
+        control.removeAttribute("aria-describedby");
+      }
+    });
+
+    // Empty groups, such as HTTP/2 while it is off, are hidden too
+    form.querySelectorAll("fieldset").forEach((fieldset) => {
+      fieldset.hidden = !fieldset.querySelector(".config-field:not([hidden])");
+    });
+  }
+
+  showIssues(list, errors, warnings) {
+    list.replaceChildren(
+      ...Object.values(errors).map((message) =>
+        this.createIssue(message, "error"),
+      ),
+      ...warnings.map((message) => this.createIssue(message, "warning")),
+    );
+    list.hidden = list.children.length === 0;
+  }
+
+  createIssue(message, type) {
+    const item = document.createElement("li");
+    item.className = type;
+    item.textContent = `${type === "error" ? "✗" : "⚠️"} ${message}`;
+    return item;
+  }
+
+  // Mirrors the checks in "Common Configuration Issues". Errors are keyed by
+  // field; settings of hidden fields are not checked.
+  validate(settings) {
+    const errors = {};
+    const warnings = [];
+    const visible = (name) => {
+      const field = this.fields.find((candidate) => candidate.name === name);
+      return !field.show || field.show(settings);
+    };
+    const integer = (name, min, max, message) => {
+      const value = Number(settings[name]);
+      if (
+        visible(name) &&
+        (!/^\d+$/.test(settings[name]) || value < min || value > max)
+      ) {
+        errors[name] = message;
+      }
+      return value;
+    };
+
+    if (!this.isIpAddress(settings.host)) {
+      errors.host = "Use an IP address such as 127.0.0.1 or 0.0.0.0";
+    }
+    integer("port", 1, 65535, "The port must be between 1 and 65535");
+
+    if (!settings.http1 && !settings.http2) {
+      errors.http2 = "Enable HTTP/1.1, HTTP/2 or both";
+    } else if (!settings.http1 && !settings.h2c && settings.tls === "none") {
+      errors.h2c = "An HTTP/2-only server without TLS needs prior knowledge";
+    }
+
+    if (settings.auto_detect && (!settings.http1 || !settings.http2)) {
+      warnings.push(
+        "Automatic protocol detection is on but only one protocol is enabled",
+      );
+    }
+
+    const streams = integer(
+      "streams",
+      1,
+      Infinity,
+      "Streams must be a positive whole number",
+    );
+    if (visible("streams") && streams > 10000) {
+      warnings.push("More than 10000 concurrent streams uses a lot of memory");
+    }
+
+    // HTTP/2 caps frames at 2^24 - 1 bytes, one byte short of 16384KB
+    integer(
+      "frame_kb",
+      16,
+      16383,
+      "The frame size must be between 16KB and 16383KB",
+    );
+
+    const interval = integer(
+      "keep_alive",
+      1,
+      Infinity,
+      "The interval must be a positive number of seconds",
+    );
+    const timeout = integer(
+      "keep_alive_timeout",
+      1,
+      Infinity,
+      "The timeout must be a positive number of seconds",
+    );
+    if (visible("keep_alive") && timeout >= interval) {
+      warnings.push(
+        "The keep-alive timeout should be shorter than the interval",
+      );
+    }
+
+    const body = integer(
+      "body_mb",
+      1,
+      Infinity,
+      "The body limit must be a positive number of megabytes",
+    );
+    if (body > 1024) {
+      warnings.push("A request body limit above 1GB is very high");
+    }
+
+    ["cert", "key"].forEach((name) => {
+      if (visible(name) && !settings[name]) {
+        errors[name] = "Enter the path of the PEM file";
+      }
+    });
+    integer("https_port", 1, 65535, "The port must be between 1 and 65535");
+
+    if (settings.tls === "self-signed") {
+      warnings.push("Self-signed certificates are for development only");
+    }
+
+    if (visible("origins")) {
+      const origins = this.getOrigins(settings);
+      if (origins.length === 0) {
+        errors.origins = "Add at least one origin";
+      } else if (
+        origins.some((origin) => !/^https?:\/\/[^/\s]+$/.test(origin))
+      ) {
+        errors.origins = "Origins look like https://myapp.com, without a path";
+      }
+    } else if (settings.cors === "permissive") {
+      warnings.push(
+        "Permissive CORS allows every origin; use it in development",
+      );
+    }
+
+    return { errors, warnings };
+  }
+
+  isIpAddress(host) {
+    const ipv4 = host.split(".");
+    if (ipv4.length === 4) {
+      return ipv4.every((part) => /^\d{1,3}$/.test(part) && Number(part) < 256);
+    }
+
+    // IPv6, with at most one "::"
+    const groups = host.split(":");
+    return (
+      /^[0-9a-f:]+$/i.test(host) &&
+      groups.length >= 3 &&
+      groups.length <= 8 &&
+      groups.every((group) => group.length <= 4) &&
+      (host.match(/::/g) || []).length <= 1 &&
+      (groups.length === 8 || host.includes("::"))
+    );
+  }
+
+  getOrigins(settings) {
+    return settings.origins
+      .split(",")
+      .map((origin) => origin.trim())
+      .filter(Boolean);
+  }
+
+  isDefault(settings, name) {
+    return settings[name] === this.defaults[name];
+  }
+
+  buildMain(settings) {
+    const imports = ["Router", "Server", "Response", "Result"];
+    const config = this.buildServerConfig(settings);
+    const lines = [];
+
+    if (config.length > 0) imports.push("ServerConfig");
+    if (config.some((line) => line.includes("Http2Config"))) {
+      imports.push("Http2Config");
+    }
+    if (settings.cors !== "none") imports.push("CorsMiddleware");
+    if (settings.perf !== "none") imports.push("PerformanceConfig");
+
+    // One import per line once the list passes 100 columns
+    const use = `use ignitia::{${imports.join(", ")}};`;
+    lines.push(
+      use.length > 100
+        ? `use ignitia::{\n    ${imports.join(",\n    ")},\n};`
+        : use,
+    );
+    if (settings.websocket) {
+      lines.push("use ignitia::websocket::{Message, WebSocketConnection};");
+    }
+    if (config.some((line) => line.includes("Duration"))) {
+      lines.push("use std::time::Duration;");
+    }
+
+    lines.push("", "#[tokio::main]", "async fn main() -> Result<()> {");
+    lines.push("    let router = Router::new()");
+    lines.push(...this.buildCors(settings));
+    lines.push(
+      '        .get("/", || async { Ok(Response::text("Hello, Ignitia! 🔥")) })',
+    );
+    if (settings.websocket) {
+      lines.push(
+        '        .websocket("/ws", |mut ws: WebSocketConnection| async move {',
+        "            while let Some(msg) = ws.recv().await {",
+        "                if let Message::Text(text) = msg {",
+        '                    ws.send_text(format!("Echo: {}", text)).await?;',
+        "                }",
+        "            }",
+        "            Ok(())",
+        "        })",
+      );
+    }
+    lines[lines.length - 1] += ";";
+
+    if (config.length > 0) {
+      lines.push("", "    let config = ServerConfig {", ...config, "    };");
+    }
+
+    const host = settings.host.includes(":")
+      ? `[${settings.host}]`
+      : settings.host;
+    lines.push("", `    let addr = "${host}:${settings.port}".parse()?;`);
+    lines.push("    Server::new(router, addr)");
+    if (config.length > 0) lines.push("        .with_server_config(config)");
+    if (settings.tls === "files") {
+      lines.push(
+        `        .enable_https(${this.quote(settings.cert)}, ${this.quote(settings.key)})?`,
+      );
+    } else if (settings.tls === "self-signed") {
+      lines.push('        .with_self_signed_cert("localhost")?');
+    }
+    if (settings.perf !== "none") {
+      lines.push(
+        `        .with_performance_config(PerformanceConfig::${settings.perf}())`,
+      );
+    }
+    lines.push("        .ignitia()", "        .await", "}");
+
+    return lines.join("\n");
+  }
+
+  // Only settings that differ from ServerConfig::default() are written out
+  buildServerConfig(settings) {
+    const lines = [];
+    const http2 = [];
+    const changed = (name) => !this.isDefault(settings, name);
+
+    if (changed("http1")) {
+      lines.push(`        http1_enabled: ${settings.http1},`);
+    }
+
+    if (!settings.http2) {
+      http2.push("            enabled: false,");
+    } else {
+      if (changed("h2c")) {
+        http2.push(`            enable_prior_knowledge: ${settings.h2c},`);
+      }
+      if (changed("streams")) {
+        http2.push(
+          `            max_concurrent_streams: Some(${settings.streams}),`,
+        );
+      }
+      if (changed("frame_kb")) {
+        http2.push(
+          `            max_frame_size: Some(${settings.frame_kb} * 1024), // ${settings.frame_kb}KB`,
+        );
+      }
+      if (changed("keep_alive")) {
+        http2.push(
+          `            keep_alive_interval: Some(Duration::from_secs(${settings.keep_alive})),`,
+        );
+      }
+      if (changed("keep_alive_timeout")) {
+        http2.push(
+          `            keep_alive_timeout: Some(Duration::from_secs(${settings.keep_alive_timeout})),`,
+        );
+      }
+      if (changed("adaptive")) {
+        http2.push(`            adaptive_window: ${settings.adaptive},`);
+      }
+    }
+    if (http2.length > 0) {
+      lines.push(
+        "        http2: Http2Config {",
+        ...http2,
+        "            ..Default::default()",
+        "        },",
+      );
+    }
+
+    if (changed("auto_detect")) {
+      lines.push(`        auto_protocol_detection: ${settings.auto_detect},`);
+    }
+    if (settings.tls !== "none" && settings.redirect) {
+      lines.push(
+        "        redirect_http_to_https: true,",
+        `        https_port: Some(${settings.https_port}),`,
+      );
+    }
+    if (changed("body_mb")) {
+      lines.push(
+        `        max_request_body_size: ${settings.body_mb} * 1024 * 1024, // ${settings.body_mb}MB`,
+      );
+    }
+
+    return lines.length > 0 ? [...lines, "        ..Default::default()"] : [];
+  }
+
+  buildCors(settings) {
+    if (settings.cors === "none") return [];
+    if (settings.cors !== "secure_api") {
+      return [`        .middleware(CorsMiddleware::${settings.cors}())`];
+    }
+
+    return [
+      "        .middleware(CorsMiddleware::secure_api(&[",
+      ...this.getOrigins(settings).map(
+        (origin) => `            ${this.quote(origin)},`,
+      ),
+      "        ]).build()?)",
+    ];
+  }
+
+  buildCargo(settings) {
+    const features = [];
+    if (settings.websocket) features.push("websocket");
+    if (settings.tls !== "none") features.push("tls");
+    if (settings.tls === "self-signed") features.push("self-signed");
+
+    const version = window.IgnitiaConfig.version;
+    const ignitia =
+      features.length > 0
+        ? `{ version = "${version}", features = [${features
+            .map((feature) => `"${feature}"`)
+            .join(", ")}] }`
+        : `"${version}"`;
+
+    return [
+      "[dependencies]",
+      `ignitia = ${ignitia}`,
+      'tokio = { version = "1.0", features = ["full"] }',
+    ].join("\n");
+  }
+
+  // Rust string literal; other control characters become \u{…} escapes
+  quote(text) {
+    const escapes = {
+      "\\": "\\\\",
+      '"': '\\"',
+      "\n": "\\n",
+      "\r": "\\r",
+      "\t": "\\t",
+      "\0": "\\0",
+    };
+    const body = String(text).replace(
+      /[\\"\u0000-\u001f\u007f]/g,
+      (char) => escapes[char] || `\\u{${char.charCodeAt(0).toString(16)}}`,
+    );
+    return `"${body}"`;
+  }
+
+  setCode(pre, text) {
+    this.codeBlocks.setCode(pre, text);
+
+    const figure = pre.closest(".code-block");
+    if (figure && !figure.querySelector(".download-button")) {
+      figure
+        .querySelector(".code-actions")
+        .appendChild(this.createDownloadButton(pre));
+    }
+  }
+
+  createDownloadButton(pre) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "code-action download-button";
+    button.textContent = "Download";
+    button.setAttribute("aria-label", `Download ${pre.dataset.name}`);
+
+    button.addEventListener("click", () => {
+      const code = pre.querySelector("code");
+      const blob = new Blob([`${this.codeBlocks.getCopyText(code)}\n`], {
+        type: "text/plain",
+      });
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = pre.dataset.name.split("/").pop();
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    });
+
+    return button;
+  }
+
+  loadFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const settings = {};
+
+    // Stale or edited links may name options that don't exist; those
+    // fields keep their defaults
+    this.fields.forEach(({ name, value, options }) => {
+      if (!params.has(name)) return;
+      if (options && !Object.keys(options).includes(params.get(name))) return;
+      settings[name] =
+        typeof value === "boolean"
+          ? params.get(name) === "1"
+          : params.get(name);
+    });
+    return settings;
+  }
+
+  saveToUrl(settings) {
+    const url = new URL(window.location.href);
+
+    this.fields.forEach(({ name }) => {
+      if (this.isDefault(settings, name)) {
+        url.searchParams.delete(name);
+      } else if (typeof settings[name] === "boolean") {
+        url.searchParams.set(name, settings[name] ? "1" : "0");
+      } else {
+        url.searchParams.set(name, settings[name]);
+      }
+    });
+
+    if (url.href !== window.location.href) {
+      history.replaceState(history.state, "", url);
+    }
+  }
+
+  async copyLink(button) {
+    try {
+      await this.codeBlocks.writeClipboard(window.location.href);
+      button.textContent = "Copied!";
+    } catch (err) {
+      console.error("Failed to copy link: ", err);
+      button.textContent = "Error";
+    }
+    setTimeout(() => {
+      button.textContent = "Copy link";
+    }, 2000);
+  }
+}
+
+// Middleware pipeline rendered by the middleware_pipeline shortcode. Plays a
+// request through the stack and back out (the onion model from "Middleware
+// Order"), showing which layer answers early for each kind of request. Layers
+// can be reordered by drag and drop or with the arrow buttons, and the
+// matching Router snippet is generated below with CodeCopyButtons.
+class MiddlewarePipeline {
+  constructor(codeBlocks) {
+    this.codeBlocks = codeBlocks;
+    this.stepDelay = 600;
+    this.layers = this.getLayers();
+    this.scenarios = {
+      ok: { label: "GET /api/users with a valid API key", method: "GET" },
+      unauthorized: {
+        label: "GET /api/users without an API key",
+        method: "GET",
+        stoppedBy: "auth",
+        status: "401 Unauthorized",
+      },
+      limited: {
+        label: "Request over the rate limit",
+        method: "GET",
+        stoppedBy: "rate_limit",
+        status: "429 Too Many Requests",
+      },
+      too_large: {
+        label: "POST /api/users with a 50MB body",
+        method: "POST",
+        stoppedBy: "body_limit",
+        status: "413 Payload Too Large",
+      },
+      preflight: {
+        label: "OPTIONS /api/users (CORS preflight)",
+        method: "OPTIONS",
+        stoppedBy: "cors",
+        status: "204 No Content",
+      },
+    };
+
+    document
+      .querySelectorAll(".middleware-pipeline")
+      .forEach((container) => this.mount(container));
+  }
+
+  // What each layer does on the way in (`request`) and out (`response`).
+  // Built-in middleware is imported from ignitia::middleware; the custom
+  // ones are the examples from "Creating Custom Middleware".
+  getLayers() {
+    return {
+      request_id: {
+        label: "Request ID",
+        code: "RequestIdMiddleware::new()",
+        builtIn: "RequestIdMiddleware",
+        request: "assigns an x-request-id",
+        response: "adds the x-request-id header",
+      },
+      logger: {
+        label: "Logger",
+        code: "LoggerMiddleware::new()",
+        builtIn: "LoggerMiddleware",
+        request: "logs → {method} {path}",
+        response: "logs ← {status}",
+      },
+      rate_limit: {
+        label: "Rate limit",
+        code: "RateLimitingMiddleware::per_minute(1000)",
+        builtIn: "RateLimitingMiddleware",
+        request: "counts the request for this client",
+        stop: "the client is over its limit",
+      },
+      auth: {
+        label: "Auth (API key)",
+        code: 'ApiKeyMiddleware { api_key: "secret".into() }',
+        request: "checks the X-API-Key header",
+        stop: "the key is missing or wrong",
+      },
+      body_limit: {
+        label: "Body size limit",
+        code: "BodySizeLimitMiddleware::new(10 * 1024 * 1024)",
+        builtIn: "BodySizeLimitMiddleware",
+        request: "checks the body is at most 10MB",
+        stop: "the body is larger than 10MB",
+      },
+      security: {
+        label: "Security headers",
+        code: "SecurityMiddleware::new()",
+        builtIn: "SecurityMiddleware",
+        response: "adds HSTS, X-Frame-Options and other headers",
+      },
+      cors: {
+        label: "CORS",
+        code: "CorsMiddleware::default()",
+        builtIn: "CorsMiddleware",
+        request: "checks the Origin header",
+        response: "adds Access-Control-Allow-Origin",
+        stop: "it answers the preflight itself",
+      },
+      compression: {
+        label: "Compression",
+        code: "CompressionMiddleware::new()",
+        builtIn: "CompressionMiddleware",
+        response: "compresses the body",
+      },
+      custom: {
+        label: "Custom header",
+        code: 'CustomHeaderMiddleware::new("ignitia")',
+        request: "logs the request path",
+        response: "adds X-Custom-Header",
+      },
+    };
+  }
+
+  mount(container) {
+    const state = {
+      stack: (container.dataset.stack || "logger|cors|auth|rate_limit|custom")
+        .split("|")
+        .map((id) => id.trim())
+        .filter(
+          (id, index, ids) => this.layers[id] && ids.indexOf(id) === index,
+        ),
+      scenario: "unauthorized",
+      timer: null,
+    };
+
+    const controls = document.createElement("div");
+    controls.className = "pipeline-controls";
+
+    const scenario = document.createElement("select");
+    scenario.setAttribute("aria-label", "Request to send");
+    Object.entries(this.scenarios).forEach(([id, { label }]) => {
+      scenario.appendChild(new Option(label, id, false, id === state.scenario));
+    });
+
+    const send = document.createElement("button");
+    send.type = "button";
+    send.className = "btn btn-primary";
+    send.textContent = "Send request";
+
+    const add = document.createElement("select");
+    add.setAttribute("aria-label", "Add middleware");
+
+    controls.append(scenario, send, add);
+
+    const stack = document.createElement("ol");
+    stack.className = "pipeline-stack";
+    stack.setAttribute("aria-label", "Middleware, outermost first");
+
+    const handler = document.createElement("div");
+    handler.className = "pipeline-handler";
+    handler.textContent = "Handler";
+
+    const trace = document.createElement("ol");
+    trace.className = "pipeline-trace";
+    trace.setAttribute("aria-label", "Request flow");
+
+    const result = document.createElement("p");
+    result.className = "pipeline-result";
+    result.setAttribute("role", "status");
+
+    const layersColumn = document.createElement("div");
+    layersColumn.className = "pipeline-layers";
+    layersColumn.append(stack, handler);
+
+    const traceColumn = document.createElement("div");
+    traceColumn.className = "pipeline-flow";
+    traceColumn.append(trace, result);
+
+    const body = document.createElement("div");
+    body.className = "pipeline-body";
+    body.append(layersColumn, traceColumn);
+
+    const pre = document.createElement("pre");
+    pre.dataset.name = "src/main.rs";
+    pre.dataset.lang = "rust";
+    const code = document.createElement("code");
+    code.className = "language-rust";
+    pre.appendChild(code);
+
+    container.replaceChildren(controls, body, pre);
+
+    const view = { stack, handler, trace, result, add, pre };
+    const update = () => {
+      this.renderStack(view, state);
+      this.codeBlocks.setCode(pre, this.buildSnippet(state.stack));
+      this.play(view, state, false);
+    };
+    const move = (from, to) => {
+      if (to < 0 || to >= state.stack.length || from === to) return;
+      const [id] = state.stack.splice(from, 1);
+      state.stack.splice(to, 0, id);
+      update();
+      stack.querySelector(`[data-id="${id}"]`).focus();
+    };
+
+    scenario.addEventListener("change", () => {
+      state.scenario = scenario.value;
+      this.play(view, state, false);
+    });
+    send.addEventListener("click", () => this.play(view, state, true));
+
+    add.addEventListener("change", () => {
+      if (!add.value) return;
+      state.stack.push(add.value);
+      update();
+    });
+
+    stack.addEventListener("click", (e) => {
+      const button = e.target.closest("button[data-action]");
+      if (!button) return;
+
+      const index = state.stack.indexOf(
+        button.closest(".pipeline-layer").dataset.id,
+      );
+      if (button.dataset.action === "remove") {
+        state.stack.splice(index, 1);
+        update();
+        add.focus();
+      } else {
+        move(index, index + (button.dataset.action === "up" ? -1 : 1));
+      }
+    });
+
+    // Alt+Arrow moves the focused layer, like the buttons
+    stack.addEventListener("keydown", (e) => {
+      const layer = e.target.closest(".pipeline-layer");
+      if (!layer || !e.altKey) return;
+      if (e.key !== "ArrowUp" && e.key !== "ArrowDown") return;
+
+      e.preventDefault();
+      const index = state.stack.indexOf(layer.dataset.id);
+      move(index, index + (e.key === "ArrowUp" ? -1 : 1));
+    });
+
+    this.initDragAndDrop(stack, state, move);
+    update();
+  }
+
+  renderStack(view, state) {
+    const { stack, add } = view;
+    const last = state.stack.length - 1;
+
+    stack.replaceChildren(
+      ...state.stack.map((id, index) => {
+        const layer = this.layers[id];
+        const item = document.createElement("li");
+        item.className = "pipeline-layer";
+        item.dataset.id = id;
+        item.draggable = true;
+        item.tabIndex = 0;
+        item.setAttribute(
+          "aria-label",
+          `${layer.label}, layer ${index + 1} of ${last + 1}`,
+        );
+
+        const handle = document.createElement("span");
+        handle.className = "pipeline-handle";
+        handle.setAttribute("aria-hidden", "true");
+        handle.textContent = "⠿";
+
+        const name = document.createElement("span");
+        name.className = "pipeline-name";
+        name.textContent = layer.label;
+
+        item.append(
+          handle,
+          name,
+          this.createLayerButton(
+            "up",
+            "↑",
+            `Move ${layer.label} out`,
+            index === 0,
+          ),
+          this.createLayerButton(
+            "down",
+            "↓",
+            `Move ${layer.label} in`,
+            index === last,
+          ),
+          this.createLayerButton("remove", "×", `Remove ${layer.label}`),
+        );
+        return item;
+      }),
+    );
+
+    const unused = Object.keys(this.layers).filter(
+      (id) => !state.stack.includes(id),
+    );
+    add.replaceChildren(
+      new Option("Add middleware…", ""),
+      ...unused.map((id) => new Option(this.layers[id].label, id)),
+    );
+    add.disabled = unused.length === 0;
+  }
+
+  createLayerButton(action, text, label, disabled = false) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "pipeline-action";
+    button.dataset.action = action;
+    button.textContent = text;
+    button.disabled = disabled;
+    button.setAttribute("aria-label", label);
+    return button;
+  }
+
+  initDragAndDrop(stack, state, move) {
+    let dragged = null;
+
+    stack.addEventListener("dragstart", (e) => {
+      const layer = e.target.closest(".pipeline-layer");
+      if (!layer) return;
+
+      dragged = layer.dataset.id;
+      layer.classList.add("dragging");
+      e.dataTransfer.effectAllowed = "move";
+      e.dataTransfer.setData("text/plain", dragged);
+    });
+
+    stack.addEventListener("dragover", (e) => {
+      if (!dragged) return;
+      e.preventDefault();
+
+      stack.querySelectorAll(".drop-before, .drop-after").forEach((layer) => {
+        layer.classList.remove("drop-before", "drop-after");
+      });
+      const target = e.target.closest(".pipeline-layer");
+      if (target && target.dataset.id !== dragged) {
+        target.classList.add(
+          this.isBefore(e, target) ? "drop-before" : "drop-after",
+        );
+      }
+    });
+
+    stack.addEventListener("drop", (e) => {
+      const target = e.target.closest(".pipeline-layer");
+      if (!dragged || !target) return;
+      e.preventDefault();
+
+      const from = state.stack.indexOf(dragged);
+      let to = state.stack.indexOf(target.dataset.id);
+      if (!this.isBefore(e, target)) to += 1;
+      if (from < to) to -= 1;
+      move(from, to);
+    });
+
+    stack.addEventListener("dragend", () => {
+      dragged = null;
+      stack
+        .querySelectorAll(".dragging, .drop-before, .drop-after")
+        .forEach((layer) => {
+          layer.classList.remove("dragging", "drop-before", "drop-after");
+        });
+    });
+  }
+
+  isBefore(event, target) {
+    const rect = target.getBoundingClientRect();
+    return event.clientY < rect.top + rect.height / 2;
+  }
+
+  // In through each layer until one answers, then back out through the
+  // layers that let the request in
+  getSteps(stack, scenarioId) {
+    const scenario = this.scenarios[scenarioId];
+    // Without the layer that should answer, the handler answers instead
+    const missing =
+      scenario.stoppedBy && !stack.includes(scenario.stoppedBy)
+        ? this.layers[scenario.stoppedBy].label
+        : null;
+    const status = (!missing && scenario.status) || "200 OK";
+    const fill = (text) =>
+      text
+        .replace("{method}", scenario.method)
+        .replace("{path}", "/api/users")
+        .replace("{status}", status);
+    const steps = [];
+    let answeredBy = stack.length;
+
+    for (let index = 0; index < stack.length; index++) {
+      const layer = this.layers[stack[index]];
+      steps.push({
+        index,
+        phase: "request",
+        text: `${layer.label} ${fill(layer.request || "passes the request on")}`,
+      });
+
+      if (scenario.stoppedBy === stack[index]) {
+        steps.push({
+          index,
+          phase: "stop",
+          text: `${layer.label} returns ${status}: ${layer.stop}`,
+        });
+        answeredBy = index;
+        break;
+      }
+    }
+
+    if (answeredBy === stack.length) {
+      steps.push({
+        index: -1,
+        phase: "handler",
+        text: `Handler returns ${status}`,
+      });
+    }
+
+    for (let index = answeredBy - 1; index >= 0; index--) {
+      const layer = this.layers[stack[index]];
+      steps.push({
+        index,
+        phase: "response",
+        text: `${layer.label} ${fill(layer.response || "passes the response back")}`,
+      });
+    }
+
+    return { steps, status, missing };
+  }
+
+  play(view, state, animate) {
+    const { stack, handler, trace, result } = view;
+    const { steps, status, missing } = this.getSteps(
+      state.stack,
+      state.scenario,
+    );
+
+    clearTimeout(state.timer);
+    trace.replaceChildren();
+    result.textContent = "";
+
+    const layers = Array.from(stack.children);
+    const reset = () => {
+      [...layers, handler].forEach((element) => {
+        element.classList.remove(
+          "current",
+          "request",
+          "response",
+          "stop",
+          "handler",
+          "skipped",
+        );
+      });
+    };
+    reset();
+
+    const finish = () => {
+      layers.forEach((layer, index) => {
+        if (!steps.some((step) => step.index === index)) {
+          layer.classList.add("skipped");
+        }
+      });
+      handler.classList.toggle(
+        "skipped",
+        !steps.some((step) => step.phase === "handler"),
+      );
+      result.textContent = missing
+        ? `${status}: there is no ${missing} layer to stop this request`
+        : `Response: ${status}`;
+    };
+
+    const show = (step) => {
+      [...layers, handler].forEach((element) =>
+        element.classList.remove("current"),
+      );
+      const element = step.index === -1 ? handler : layers[step.index];
+      element.classList.add("current", step.phase);
+
+      const item = document.createElement("li");
+      item.className = step.phase;
+      item.textContent = step.text;
+      trace.appendChild(item);
+    };
+
+    const reduceMotion = window.matchMedia(
+      "(prefers-reduced-motion: reduce)",
+    ).matches;
+    if (!animate || reduceMotion) {
+      steps.forEach(show);
+      [...layers, handler].forEach((element) =>
+        element.classList.remove("current"),
+      );
+      finish();
+      return;
+    }
+
+    let position = 0;
+    const next = () => {
+      if (position === steps.length) {
+        [...layers, handler].forEach((element) =>
+          element.classList.remove("current"),
+        );
+        finish();
+        return;
+      }
+      show(steps[position++]);
+      state.timer = setTimeout(next, this.stepDelay);
+    };
+    next();
+  }
+
+  buildSnippet(stack) {
+    const builtIns = stack
+      .map((id) => this.layers[id].builtIn)
+      .filter(Boolean)
+      .sort();
+    const custom = stack
+      .filter((id) => !this.layers[id].builtIn)
+      .map((id) => this.layers[id].code.split(/[ :(]/)[0]);
+
+    const lines = ["use ignitia::Router;"];
+    if (builtIns.length === 1) {
+      lines.push(`use ignitia::middleware::${builtIns[0]};`);
+    } else if (builtIns.length > 1) {
+      lines.push(`use ignitia::middleware::{${builtIns.join(", ")}};`);
+    }
+    if (custom.length > 0) {
+      lines.push(
+        `// ${custom.join(" and ")}: see "Creating Custom Middleware"`,
+      );
+    }
+
+    lines.push("", "let router = Router::new()");
+    stack.forEach((id, index) => {
+      const comment =
+        stack.length === 1
+          ? ""
+          : index === 0
+            ? " // Outer layer"
+            : index === stack.length - 1
+              ? " // Inner layer (closest to handler)"
+              : "";
+      lines.push(`    .middleware(${this.layers[id].code})${comment}`);
+    });
+    lines.push('    .get("/api/users", list_users);');
+
+    return lines.join("\n");
+  }
+}
+
+// Links API identifiers in inline code, such as `Router`, `Json<T>` or
+// `Response::json()`, to their section of the API Reference. The symbol map
+// comes from the reference itself: every heading starts a section, and the
+// declarations in a section's code blocks become its symbols. Hovering or
+// focusing a link shows a card with the signature and summary.
+class ApiReferenceLinks {
+  constructor() {
+    this.config = window.IgnitiaConfig;
+    this.referencePath = "docs/api-reference/";
+    // Code that is already a link, or is redrawn by an interactive widget
+    this.skip =
+      "a, pre, h1, h2, h3, h4, h5, h6, .api-card, .route-playground, .config-builder, .middleware-pipeline";
+    this.showDelay = 200;
+    this.hideDelay = 200;
+    this.timer = null;
+    this.active = null;
+
+    this.candidates = this.config ? this.findCandidates() : [];
+    if (this.candidates.length > 0) this.init();
+  }
+
+  async init() {
+    const signal = PageRouter.signal;
+    this.referenceUrl = this.config.url(this.referencePath);
+
+    try {
+      this.symbols = await ApiReferenceLinks.loadSymbols(this.referenceUrl);
+    } catch (error) {
+      console.error("Failed to load the API reference:", error);
+      return;
+    }
+    if (signal.aborted) return;
+
+    this.links = this.candidates
+      .filter(({ name }) => this.symbols.has(name))
+      .map(({ code, name }) => this.link(code, this.symbols.get(name)));
+
+    if (this.links.length > 0) this.initCard(signal);
+  }
+
+  findCandidates() {
+    return Array.from(document.querySelectorAll(".prose code"))
+      .filter((code) => !code.closest(this.skip))
+      .map((code) => ({ code, name: this.normalize(code.textContent) }))
+      .filter(({ name }) => name);
+  }
+
+  // `ignitia::Json<T>` -> "Json", `impl IntoResponse` -> "IntoResponse",
+  // `Response::json()` -> "Response::json". Null for anything else, such as
+  // expressions or method chains.
+  normalize(text) {
+    const match = text
+      .trim()
+      .match(
+        /^(?:impl\s+|dyn\s+|&(?:mut\s+)?)?(?:ignitia::(?:[a-z_]+::)*)?([A-Za-z_]\w*(?:::[A-Za-z_]\w*)?)(?:<.*>)?(?:\([^()]*\))?$/,
+      );
+    return match ? match[1] : null;
+  }
+
+  // Resolves to a Map of name -> { name, signature, anchor, title, summary },
+  // shared by every page of the session
+  static loadSymbols(url) {
+    if (!ApiReferenceLinks.symbolsPromise) {
+      ApiReferenceLinks.symbolsPromise = ApiReferenceLinks.loadReference(url)
+        .then((doc) => ApiReferenceLinks.parseSymbols(doc))
+        .catch((error) => {
+          ApiReferenceLinks.symbolsPromise = null;
+          throw error;
+        });
+    }
+    return ApiReferenceLinks.symbolsPromise;
+  }
+
+  static async loadReference(url) {
+    if (new URL(url).pathname === window.location.pathname) return document;
+
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+    return new DOMParser().parseFromString(await response.text(), "text/html");
+  }
+
+  static parseSymbols(doc) {
+    const prose = doc.querySelector(".prose");
+    const headings = [];
+    const declarations = [];
+    const open = [];
+    let section = null;
+
+    if (!prose) return new Map();
+
+    prose.querySelectorAll("h2, h3, h4, h5, h6, p, pre").forEach((element) => {
+      if (/^H\d$/.test(element.tagName)) {
+        const level = Number(element.tagName[1]);
+        while (open.length > 0 && open[open.length - 1].level >= level) {
+          open.pop();
+        }
+
+        const heading = element.cloneNode(true);
+        heading.querySelectorAll(".zola-anchor").forEach((a) => a.remove());
+
+        section = element.id
+          ? {
+              id: element.id,
+              title: heading.textContent.trim(),
+              level,
+              parent: open[open.length - 1] || null,
+              summary: "",
+              hasCode: false,
+            }
+          : null;
+        if (section) {
+          open.push(section);
+          headings.push(section);
+        }
+      } else if (!section) {
+        return;
+      } else if (element.tagName === "P") {
+        // The summary is the text between the heading and its first code
+        // block; later paragraphs are usage notes
+        if (!section.hasCode && !section.summary) {
+          section.summary = element.textContent.trim().replace(/\s+/g, " ");
+        }
+      } else {
+        section.hasCode = true;
+        ApiReferenceLinks.parseDeclarations(element.textContent).forEach(
+          (declaration) => declarations.push({ ...declaration, section }),
+        );
+      }
+    });
+
+    // A bare function name such as `new` or `get` is only linked when no
+    // method or other function shares it
+    const uses = new Map();
+    declarations.forEach(({ name, kind }) => {
+      if (kind === "type") return;
+      const bare = name.split("::").pop();
+      uses.set(bare, (uses.get(bare) || 0) + 1);
+    });
+
+    const symbols = new Map();
+    declarations.forEach((declaration) => {
+      if (declaration.kind === "function" && uses.get(declaration.name) > 1) {
+        return;
+      }
+
+      const existing = symbols.get(declaration.name);
+      if (!existing) {
+        symbols.set(declaration.name, declaration);
+      } else if (existing.weak && !declaration.weak) {
+        // `pub struct Router` describes the type better than `impl Router`
+        existing.signature = declaration.signature;
+        existing.weak = false;
+      }
+    });
+
+    const isNamed = (section, name) =>
+      new RegExp(`^${name}(?: (?:Trait|Type|Helper))?$`).test(section.title);
+
+    symbols.forEach((symbol, name) => {
+      // Types link to the heading named after them, e.g. "IntoResponse
+      // Trait", when the declaration sits under a generic one
+      const section =
+        symbol.kind === "type" && !isNamed(symbol.section, name)
+          ? headings.find((heading) => isNamed(heading, name)) || symbol.section
+          : symbol.section;
+
+      let summary = "";
+      for (let s = section; s && !summary; s = s.parent) summary = s.summary;
+
+      symbols.set(name, {
+        name,
+        signature: symbol.signature,
+        anchor: section.id,
+        title: section.title,
+        summary,
+      });
+    });
+
+    return symbols;
+  }
+
+  // Declarations in a block of Rust signatures: types from `pub struct`,
+  // `pub enum`, `pub trait` and `impl Type {`, functions from top-level
+  // `pub fn` without a `self` parameter, and methods (as `Type::name`) from
+  // the `fn` lines inside a type's block
+  static parseDeclarations(code) {
+    const declarations = [];
+    let owner = null;
+
+    code.split("\n").forEach((line) => {
+      const signature = line
+        .replace(/\s*\/\/.*$/, "")
+        .replace(/\s*\{$/, "")
+        .trim();
+      let match;
+
+      if ((match = line.match(/^pub (?:struct|enum|trait) ([A-Za-z_]\w*)/))) {
+        declarations.push({ name: match[1], kind: "type", signature });
+        owner = /\{\s*(\/\/.*)?$/.test(line) ? match[1] : null;
+      } else if (
+        (match = line.match(/^impl(?:<[^>]*>)? ([A-Za-z_]\w*)(?:<[^>]*>)? *\{/))
+      ) {
+        declarations.push({
+          name: match[1],
+          kind: "type",
+          signature,
+          weak: true,
+        });
+        owner = match[1];
+      } else if ((match = line.match(/^pub (?:async )?fn ([a-z_]\w*)/))) {
+        // A method quoted without its `impl` block has no type to go with it
+        if (!/\(\s*&?(?:'\w+\s+)?(?:mut\s+)?self\b/.test(line)) {
+          declarations.push({ name: match[1], kind: "function", signature });
+        }
+      } else if (
+        owner &&
+        (match = line.match(/^\s+(?:pub )?(?:async )?fn ([a-z_]\w*)/))
+      ) {
+        declarations.push({
+          name: `${owner}::${match[1]}`,
+          kind: "method",
+          signature: signature.replace(/;$/, ""),
+        });
+      } else if (/^\}/.test(line)) {
+        owner = null;
+      }
+    });
+
+    return declarations;
+  }
+
+  link(code, symbol) {
+    const link = document.createElement("a");
+    link.className = "api-link";
+    link.href = `${this.referenceUrl}#${symbol.anchor}`;
+    link.dataset.symbol = symbol.name;
+
+    code.replaceWith(link);
+    link.appendChild(code);
+    return link;
+  }
+
+  initCard(signal) {
+    this.card = document.createElement("span");
+    this.card.className = "api-card";
+    this.card.id = "api-card";
+    this.card.hidden = true;
+
+    this.links.forEach((link) => {
+      link.addEventListener("mouseenter", () =>
+        this.schedule(() => this.show(link), this.showDelay),
+      );
+      link.addEventListener("mouseleave", () =>
+        this.schedule(() => this.hide(), this.hideDelay),
+      );
+      link.addEventListener("focus", () => this.show(link));
+      link.addEventListener("focusout", (e) => this.handleFocusOut(e));
+    });
+
+    // The card stays open while the pointer or focus is inside it, so its
+    // docs.rs link can be reached
+    this.card.addEventListener("mouseenter", () => clearTimeout(this.timer));
+    this.card.addEventListener("mouseleave", () =>
+      this.schedule(() => this.hide(), this.hideDelay),
+    );
+    this.card.addEventListener("focusout", (e) => this.handleFocusOut(e));
+
+    document.addEventListener(
+      "keydown",
+      (e) => {
+        if (e.key !== "Escape" || !this.active) return;
+        if (this.card.contains(document.activeElement)) this.active.focus();
+        this.hide();
+      },
+      { signal },
+    );
+    window.addEventListener(
+      "scroll",
+      () => this.active && this.position(this.active),
+      { passive: true, signal },
+    );
+    window.addEventListener(
+      "resize",
+      () => this.active && this.position(this.active),
+      { signal },
+    );
+    signal.addEventListener("abort", () => clearTimeout(this.timer));
+  }
+
+  schedule(callback, delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(callback, delay);
+  }
+
+  handleFocusOut(e) {
+    const next = e.relatedTarget;
+    if (next && (next === this.active || this.card.contains(next))) return;
+    this.hide();
+  }
+
+  show(link) {
+    clearTimeout(this.timer);
+    if (this.active === link) return;
+    this.hide();
+
+    const symbol = this.symbols.get(link.dataset.symbol);
+    this.card.replaceChildren(...this.renderCard(symbol));
+    link.after(this.card);
+    link.setAttribute("aria-describedby", this.card.id);
+    this.card.hidden = false;
+    this.active = link;
+    this.position(link);
+  }
+
+  hide() {
+    clearTimeout(this.timer);
+    if (!this.active) return;
+
+    this.active.removeAttribute("aria-describedby");
+    this.card.hidden = true;
+    this.active = null;
+  }
+
+  renderCard(symbol) {
+    const title = document.createElement("span");
+    title.className = "api-card-title";
+    title.textContent = symbol.title;
+
+    const signature = document.createElement("code");
+    signature.className = "api-card-signature";
+    signature.textContent = symbol.signature;
+
+    const children = [title, signature];
+
+    if (symbol.summary) {
+      const summary = document.createElement("span");
+      summary.className = "api-card-summary";
+      summary.textContent = symbol.summary;
+      children.push(summary);
+    }
+
+    // Search rather than a page URL, as the reference doesn't say whether a
+    // type is a struct, enum or trait
+    if (this.config.docsRs) {
+      const docsRs = document.createElement("a");
+      docsRs.className = "api-card-docs-rs";
+      docsRs.href = `https://docs.rs/ignitia/${encodeURIComponent(this.config.version)}/ignitia/?search=${encodeURIComponent(symbol.name)}`;
+      docsRs.target = "_blank";
+      docsRs.rel = "noopener";
+      docsRs.textContent = `docs.rs (${this.config.version}) ↗`;
+      children.push(docsRs);
+    }
+
+    return children;
+  }
+
+  // Below the link, or above it when there is no room; kept inside the
+  // viewport horizontally
+  position(link) {
+    const rect = link.getBoundingClientRect();
+    const width = this.card.offsetWidth;
+    const height = this.card.offsetHeight;
+    const gap = 8;
+
+    const below = rect.bottom + gap;
+    const top =
+      below + height > window.innerHeight && rect.top - gap - height > 0
+        ? rect.top - gap - height
+        : below;
+    const left = Math.max(
+      gap,
+      Math.min(rect.left, window.innerWidth - width - gap),
+    );
+
+    this.card.style.top = `${top}px`;
+    this.card.style.left = `${left}px`;
+  }
+}
+
+// Table of Contents Toggle
+class TOCToggle {
+  constructor() {
+    // Collapsing the whole TOC is a global preference; branch folds are
+    // remembered per page
+    this.collapsedKey = "toc-collapsed";
+    this.foldsKey = `toc-folds:${window.location.pathname}`;
+    this.init();
+  }
+
+  init() {
+    const tocContainers = document.querySelectorAll(".toc-container");
+
+    // Pages without a TOC drop the shortcut left by the previous page
+    ShortcutManager.getInstance().unregister("toc");
+
+    tocContainers.forEach((container) => {
+      this.addToggleButton(container);
+      this.initTree(container);
+    });
+  }
+
+  addToggleButton(container) {
+    const heading = container.querySelector("h3");
+    const tocContent = container.querySelector(".toc");
+
+    if (!heading || !tocContent) return;
+
+    // Create toggle button
+    const toggleButton = document.createElement("button");
+    toggleButton.className = "toc-toggle";
+    toggleButton.innerHTML = "▼";
+    toggleButton.setAttribute("aria-label", "Toggle table of contents");
+
+    if (!tocContent.id) tocContent.id = "toc-content";
+    toggleButton.setAttribute("aria-controls", tocContent.id);
+
+    // Add button to heading
+    heading.appendChild(toggleButton);
+
+    // Add content wrapper class
+    tocContent.className += " toc-content";
+    this.setTOCExpanded(
+      tocContent,
+      toggleButton,
+      localStorage.getItem(this.collapsedKey) !== "true",
+    );
+
+    // Add click event
+    toggleButton.addEventListener("click", () => {
+      this.toggleTOC(tocContent, toggleButton);
+    });
+
+    ShortcutManager.getInstance().register("toc", {
+      keys: "t",
+      description: "Toggle table of contents",
+      group: "Page",
+      run: () => this.toggleTOC(tocContent, toggleButton),
+    });
+  }
+
+  toggleTOC(tocContent, button) {
+    const isExpanded = tocContent.classList.contains("expanded");
+
+    this.setTOCExpanded(tocContent, button, !isExpanded);
+    localStorage.setItem(this.collapsedKey, String(isExpanded));
+  }
+
+  setTOCExpanded(tocContent, button, expanded) {
+    tocContent.classList.toggle("expanded", expanded);
+    tocContent.classList.toggle("collapsed", !expanded);
+    button.classList.toggle("collapsed", !expanded);
+    button.setAttribute("aria-expanded", String(expanded));
+    button.innerHTML = expanded ? "▼" : "▶";
+  }
+
+  initTree(container) {
+    const toc = container.querySelector(".toc");
+    const root = toc && toc.querySelector(":scope > ul");
+    if (!root) return;
+
+    const folds = this.loadFolds();
+
+    root.setAttribute("role", "tree");
+    root.setAttribute("aria-label", "Table of contents");
+
+    root.querySelectorAll("li").forEach((item, index) => {
+      const link = item.querySelector(":scope > a");
+      const group = item.querySelector(":scope > ul");
+      if (!link) return;
+
+      item.setAttribute("role", "none");
+      link.setAttribute("role", "treeitem");
+      link.tabIndex = -1;
+
+      if (!group) return;
+
+      // Navigation treeview: the link is the node and owns its subtree
+      group.id = group.id || `toc-group-${index}`;
+      group.setAttribute("role", "group");
+      link.setAttribute("aria-owns", group.id);
+      item.classList.add("toc-branch");
+
+      const foldButton = document.createElement("button");
+      foldButton.type = "button";
+      foldButton.className = "toc-fold";
+      foldButton.tabIndex = -1;
+      foldButton.setAttribute("aria-hidden", "true");
+      foldButton.addEventListener("click", () => {
+        this.setBranchExpanded(item, item.classList.contains("folded"));
+      });
+      item.insertBefore(foldButton, link);
+
+      this.setBranchExpanded(item, !folds.has(this.getBranchId(item)), false);
+    });
+
+    const first = root.querySelector("[role='treeitem']");
+    if (first) first.tabIndex = 0;
+
+    root.addEventListener("keydown", (e) => this.handleTreeKey(e, root));
+    root.addEventListener("focusin", (e) => {
+      if (e.target.getAttribute("role") === "treeitem") {
+        this.setFocusable(root, e.target);
+      }
+    });
+
+    // The scroll spy reveals the branch holding the current section
+    container.addEventListener("tocactive", (e) => {
+      let branch = e.detail.link.parentElement.parentElement.closest("li");
+      while (branch && root.contains(branch)) {
+        if (branch.classList.contains("folded")) {
+          this.setBranchExpanded(branch, true, false);
+        }
+        branch = branch.parentElement.closest("li");
+      }
+    });
+  }
+
+  handleTreeKey(event, root) {
+    const item = event.target;
+    if (item.getAttribute("role") !== "treeitem") return;
+
+    const branch = item.parentElement;
+    const isBranch = branch.classList.contains("toc-branch");
+    const isExpanded = isBranch && !branch.classList.contains("folded");
+    const visible = this.getVisibleItems(root);
+    const index = visible.indexOf(item);
+    let next = null;
+
+    switch (event.key) {
+      case "ArrowDown":
+        next = visible[index + 1];
+        break;
+      case "ArrowUp":
+        next = visible[index - 1];
+        break;
+      case "ArrowRight":
+        if (isBranch && !isExpanded) {
+          this.setBranchExpanded(branch, true);
+        } else if (isExpanded) {
+          next = branch.querySelector(":scope > ul [role='treeitem']");
+        }
+        break;
+      case "ArrowLeft":
+        if (isExpanded) {
+          this.setBranchExpanded(branch, false);
+        } else {
+          const parent = branch.parentElement.closest("li");
+          next =
+            parent &&
+            root.contains(parent) &&
+            parent.querySelector(":scope > a");
+        }
+        break;
+      case "Home":
+        next = visible[0];
+        break;
+      case "End":
+        next = visible[visible.length - 1];
+        break;
+      case "*":
+        branch.parentElement
+          .querySelectorAll(":scope > .toc-branch.folded")
+          .forEach((sibling) => this.setBranchExpanded(sibling, true));
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    if (next) next.focus();
+  }
+
+  setBranchExpanded(item, expanded, persist = true) {
+    const link = item.querySelector(":scope > a");
+
+    item.classList.toggle("folded", !expanded);
+    link.setAttribute("aria-expanded", String(expanded));
+
+    // Keep the roving tab stop on a visible node
+    if (!expanded && item.querySelector(":scope > ul [tabindex='0']")) {
+      this.setFocusable(item.closest("[role='tree']"), link);
+    }
+
+    if (persist) this.saveFolds(item.closest("[role='tree']"));
+  }
+
+  setFocusable(root, target) {
+    root.querySelectorAll("[role='treeitem']").forEach((item) => {
+      item.tabIndex = item === target ? 0 : -1;
+    });
+  }
+
+  getVisibleItems(root) {
+    return Array.from(root.querySelectorAll("[role='treeitem']")).filter(
+      (item) => !item.parentElement.parentElement.closest("li.folded"),
+    );
+  }
+
+  getBranchId(item) {
+    const link = item.querySelector(":scope > a");
+    return new URL(link.href, window.location.href).hash.slice(1);
+  }
+
+  loadFolds() {
+    try {
+      return new Set(JSON.parse(localStorage.getItem(this.foldsKey)) || []);
+    } catch (error) {
+      return new Set();
+    }
+  }
+
+  saveFolds(root) {
+    const folded = Array.from(root.querySelectorAll("li.folded")).map((item) =>
+      this.getBranchId(item),
+    );
+
+    if (folded.length) {
+      localStorage.setItem(this.foldsKey, JSON.stringify(folded));
+    } else {
+      localStorage.removeItem(this.foldsKey);
+    }
+  }
+}
+
+// TOC Scroll Spy
+class TOCScrollSpy {
+  constructor() {
+    this.links = new Map();
+    this.headings = [];
+    this.activeLink = null;
+    this.activeId = null;
+    this.locked = false;
+    this.settleTimer = null;
+    this.hashTimer = null;
+    this.offset = 120;
+    this.init();
+  }
+
+  init() {
+    const toc = document.querySelector(".toc-container .toc");
+    if (!toc || !("IntersectionObserver" in window)) return;
+
+    this.container = toc.closest(".toc-container");
+
+    toc.querySelectorAll("a[href*='#']").forEach((link) => {
+      const url = new URL(link.href, window.location.href);
+      if (url.pathname !== window.location.pathname) return;
+
+      const id = decodeURIComponent(url.hash.slice(1));
+      const heading = document.getElementById(id);
+      if (!heading) return;
+
+      this.links.set(id, link);
+      this.headings.push(heading);
+    });
+
+    if (!this.headings.length) return;
+
+    // Headings crossing the band below the navbar trigger a recalculation
+    this.observer = new IntersectionObserver(() => this.update(), {
+      rootMargin: `-${this.offset}px 0px -60% 0px`,
+    });
+    this.headings.forEach((heading) => this.observer.observe(heading));
+
+    // Smooth scrolls pass through every heading on the way; hold the
+    // target active until scrolling settles
+    const signal = PageRouter.signal;
+    window.addEventListener("anchorscroll", (e) => this.lockTo(e.detail.id), {
+      signal,
+    });
+    window.addEventListener("scroll", () => this.handleScroll(), {
+      passive: true,
+      signal,
+    });
+    signal.addEventListener("abort", () => {
+      this.observer.disconnect();
+      clearTimeout(this.settleTimer);
+      clearTimeout(this.hashTimer);
+    });
+
+    this.update();
+  }
+
+  handleScroll() {
+    // Browsers throttle replaceState, so the hash follows the active
+    // section only once scrolling stops
+    clearTimeout(this.hashTimer);
+    this.hashTimer = setTimeout(() => this.updateHash(), 300);
+
+    if (!this.locked) return;
+
+    clearTimeout(this.settleTimer);
+    this.settleTimer = setTimeout(() => {
+      this.locked = false;
+      this.update();
+    }, 150);
+  }
+
+  lockTo(id) {
+    if (!this.links.has(id)) return;
+
+    this.locked = true;
+    this.setActive(id);
+    this.handleScroll();
+  }
+
+  update() {
+    if (this.locked) return;
+
+    // The current section is the last heading scrolled past the navbar
+    let current = null;
+    for (const heading of this.headings) {
+      if (heading.getBoundingClientRect().top > this.offset + 1) break;
+      current = heading;
+    }
+
+    if (current) {
+      this.setActive(current.id);
+    } else {
+      this.clearActive();
+    }
+  }
+
+  setActive(id) {
+    const link = this.links.get(id);
+    if (!link || link === this.activeLink) return;
+
+    this.clearActive();
+    this.activeLink = link;
+    this.activeId = id;
+    link.classList.add("active");
+    link.setAttribute("aria-current", "location");
+
+    // Mark and expand every branch leading to the active entry
+    let branch = link.closest("li");
+    while (branch && this.container.contains(branch)) {
+      branch.classList.add("active-branch");
+      branch = branch.parentElement.closest("li");
+    }
+    this.container.dispatchEvent(
+      new CustomEvent("tocactive", { detail: { id, link }, bubbles: true }),
+    );
+
+    this.keepInView(link);
+  }
+
+  updateHash() {
+    const id = this.activeId;
+    if (!id || window.location.hash === `#${id}` || this.isHashPinned()) {
+      return;
+    }
+
+    history.replaceState(
+      history.state,
+      "",
+      `${window.location.pathname}${window.location.search}#${id}`,
+    );
+  }
+
+  // Leave deep links such as #code-3-L12-L15 alone while they are on screen
+  isHashPinned() {
+    const hash = decodeURIComponent(window.location.hash.slice(1));
+    if (!hash || this.links.has(hash)) return false;
+
+    const target =
+      document.getElementById(hash) ||
+      document.getElementById(hash.replace(/-L\d+$/, ""));
+    if (!target) return false;
+
+    const rect = target.getBoundingClientRect();
+    return rect.bottom > 0 && rect.top < window.innerHeight;
+  }
+
+  clearActive() {
+    if (!this.activeLink) return;
+
+    this.activeLink.classList.remove("active");
+    this.activeLink.removeAttribute("aria-current");
+    this.container
+      .querySelectorAll(".active-branch")
+      .forEach((branch) => branch.classList.remove("active-branch"));
+    this.activeLink = null;
+    this.activeId = null;
+  }
+
+  keepInView(link) {
+    const scroller = this.getScrollParent(link);
+    if (!scroller) return;
+
+    const box = scroller.getBoundingClientRect();
+    const rect = link.getBoundingClientRect();
+    const padding = 24;
+
+    if (rect.top < box.top + padding) {
+      scroller.scrollTop -= box.top + padding - rect.top;
+    } else if (rect.bottom > box.bottom - padding) {
+      scroller.scrollTop += rect.bottom - box.bottom + padding;
+    }
+  }
+
+  getScrollParent(element) {
+    let node = element.parentElement;
+
+    while (node && node !== this.container.parentElement) {
+      const { overflowY } = getComputedStyle(node);
+      if (
+        (overflowY === "auto" || overflowY === "scroll") &&
+        node.scrollHeight > node.clientHeight
+      ) {
+        return node;
+      }
+      node = node.parentElement;
+    }
+
+    return null;
+  }
+}
+
+// // Mobile Navigation Toggle
+// class MobileNav {
+//   constructor() {
+//     this.init();
+//   }
+
+//   init() {
+//     const navToggle = document.getElementById("nav-toggle");
+//     const navMenu = document.getElementById("nav-menu");
+
+//     if (navToggle && navMenu) {
+//       navToggle.addEventListener("click", () => {
+//         navMenu.classList.toggle("active");
+//         navToggle.classList.toggle("active");
+//       });
+//     }
+//   }
+// }
+
+// // Smooth Scrolling for Anchor Links
+// class SmoothScroll {
+//   constructor() {
+//     this.init();
+//   }
+
+//   init() {
+//     document.querySelectorAll('a[href^="#"]').forEach((anchor) => {
+//       anchor.addEventListener("click", (e) => {
+//         e.preventDefault();
+//         const target = document.querySelector(anchor.getAttribute("href"));
+//         if (target) {
+//           target.scrollIntoView({
+//             behavior: "smooth",
+//             block: "start",
+//           });
+//         }
+//       });
+//     });
+//   }
+// }
+
+// // Initialize everything when DOM is ready
+// document.addEventListener("DOMContentLoaded", function () {
+//   new CodeCopyButtons();
+//   new TOCToggle();
+//   new MobileNav();
+//   new SmoothScroll();
+// });
+
+// Theme Management System
+class ThemeManager {
+  constructor() {
+    // One manager per page; every caller shares its listeners and state
+    if (ThemeManager.instance) return ThemeManager.instance;
+    ThemeManager.instance = this;
+
+    this.media = window.matchMedia
+      ? window.matchMedia("(prefers-color-scheme: dark)")
+      : null;
+    this.listeners = new Set();
+    this.codeThemes = (window.IgnitiaConfig || {}).codeThemes || {};
+    this.codeTheme = this.getCodeThemePreference();
+    this.preference = this.getThemePreference();
+    this.currentTheme = this.resolveTheme(this.preference);
+
+    // The inline bootstrap in base.html has already painted this theme
+    this.applied = {
+      theme: document.documentElement.getAttribute("data-theme"),
+      preference: this.preference,
+    };
+    this.init();
+  }
+
+  static getInstance() {
+    return ThemeManager.instance || new ThemeManager();
+  }
+
+  // Add or replace a theme; `vars` maps custom properties to values
+  static registerTheme(name, vars = {}, options = {}) {
+    if (!/^[a-z0-9-]+$/i.test(name) || name === "auto") {
+      throw new Error(`Invalid theme name "${name}"`);
+    }
+
+    const existing = ThemeManager.themes.get(name);
+    const scheme =
+      (options.scheme || (existing && existing.scheme)) === "dark"
+        ? "dark"
+        : "light";
+    ThemeManager.themes.set(name, {
+      label: options.label || (existing ? existing.label : name),
+      scheme,
+    });
+
+    let style = document.getElementById(`theme-${name}-vars`);
+    if (!style) {
+      style = document.createElement("style");
+      style.id = `theme-${name}-vars`;
+      document.head.appendChild(style);
+    }
+
+    const declarations = Object.entries(vars)
+      .map(
+        ([key, value]) =>
+          `${key.startsWith("--") ? key : `--${key}`}: ${value};`,
+      )
+      .join(" ");
+    style.textContent = `[data-theme="${name}"] { color-scheme: ${scheme}; ${declarations} }`;
+
+    window.dispatchEvent(
+      new CustomEvent("themeregister", { detail: { theme: name } }),
+    );
+  }
+
+  getThemePreference() {
+    // Check localStorage first; anything else follows the system
+    const stored = localStorage.getItem("theme");
+    if (stored && ThemeManager.themes.has(stored)) {
+      return stored;
+    }
+
+    return "auto";
+  }
+
+  getCodeThemePreference() {
+    const stored = localStorage.getItem("code-theme");
+    return stored && this.codeThemes[stored] ? stored : "default";
+  }
+
+  resolveTheme(preference) {
+    if (preference !== "auto") return preference;
+
+    return this.media && this.media.matches ? "dark" : "light";
+  }
+
+  setTheme(theme) {
+    if (theme !== "auto" && !ThemeManager.themes.has(theme)) return;
+
+    this.preference = theme;
+    this.currentTheme = this.resolveTheme(theme);
+    localStorage.setItem("theme", theme);
+    this.applyTheme();
+  }
+
+  applyTheme() {
+    const theme = this.currentTheme;
+    const { label, scheme } = ThemeManager.themes.get(theme);
+
+    document.documentElement.setAttribute("data-theme", theme);
+    document.documentElement.setAttribute("data-color-scheme", scheme);
+    this.applyCodeTheme();
+
+    // Update picker button aria-label
+    if (this.toggleButton) {
+      this.toggleButton.setAttribute(
+        "aria-label",
+        `Choose theme (current: ${label}${this.preference === "auto" ? ", following system" : ""})`,
+      );
+    }
+    this.updateMenu();
+
+    const previous = this.applied;
+    if (previous.theme === theme && previous.preference === this.preference) {
+      return;
+    }
+    this.applied = { theme, preference: this.preference };
+
+    // Notify subscribers and other components once per change
+    const detail = {
+      theme,
+      preference: this.preference,
+      previous: previous.theme,
+    };
+    this.listeners.forEach((callback) => callback(detail));
+    window.dispatchEvent(new CustomEvent("themechange", { detail }));
+  }
+
+  setCodeTheme(name) {
+    if (!this.codeThemes[name]) return;
+
+    this.codeTheme = name;
+    localStorage.setItem("code-theme", name);
+    this.applyCodeTheme();
+    this.updateMenu();
+  }
+
+  // Swap the generated syntax stylesheet to match the page's color scheme
+  applyCodeTheme() {
+    const link = document.getElementById("syntax-theme");
+    const files = this.codeThemes[this.codeTheme];
+    if (!link || !files) return;
+
+    const { scheme } = ThemeManager.themes.get(this.currentTheme);
+    const href = window.IgnitiaConfig.url(files[scheme]);
+    if (link.href !== href) link.href = href;
+  }
+
+  onChange(callback) {
+    this.listeners.add(callback);
+    return () => this.off(callback);
+  }
+
+  off(callback) {
+    this.listeners.delete(callback);
+  }
+
+  toggleTheme() {
+    const { scheme } = ThemeManager.themes.get(this.currentTheme);
+    this.setTheme(scheme === "dark" ? "light" : "dark");
+  }
+
+  init() {
+    // Apply the initial theme without pinning it as a choice
+    this.applyTheme();
+
+    // The API can be used before the picker markup is parsed
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", () => this.initMenu());
+    } else {
+      this.initMenu();
+    }
+
+    // Listen for system theme changes
+    if (this.media) {
+      this.media.addEventListener("change", () => {
+        // Only auto-switch while following the system
+        if (this.preference === "auto") {
+          this.currentTheme = this.resolveTheme("auto");
+          this.applyTheme();
+        }
+      });
+    }
+
+    // Themes registered later can restore a stored choice
+    window.addEventListener("themeregister", (e) => {
+      this.renderMenu();
+      if (localStorage.getItem("theme") === e.detail.theme) {
+        this.preference = e.detail.theme;
+        this.currentTheme = e.detail.theme;
+        this.applyTheme();
+      }
+    });
+
+    ShortcutManager.getInstance().register("theme", {
+      keys: "mod+shift+l",
+      description: "Toggle light/dark theme",
+      global: true,
+      run: () => this.toggleTheme(),
+    });
+  }
+
+  initMenu() {
+    this.toggleButton = document.getElementById("theme-toggle");
+    this.menu = document.getElementById("theme-menu");
+    if (!this.toggleButton || !this.menu) return;
+
+    this.renderMenu();
+    this.applyTheme();
+
+    this.toggleButton.addEventListener("click", () => {
+      if (this.isMenuOpen()) {
+        this.closeMenu();
+      } else {
+        this.openMenu();
+      }
+    });
+
+    this.toggleButton.addEventListener("keydown", (e) => {
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        this.openMenu(e.key === "ArrowUp" ? -1 : 0);
+      }
+    });
+
+    this.menu.addEventListener("click", (e) => {
+      const option = e.target.closest(".theme-option");
+      if (!option) return;
+
+      if (option.dataset.codeThemeOption) {
+        this.setCodeTheme(option.dataset.codeThemeOption);
+      } else {
+        this.setTheme(option.dataset.themeOption);
+      }
+      this.closeMenu(true);
+    });
+
+    this.menu.addEventListener("keydown", (e) => this.handleMenuKey(e));
+
+    document.addEventListener("click", (e) => {
+      if (
+        this.isMenuOpen() &&
+        !this.menu.contains(e.target) &&
+        !this.toggleButton.contains(e.target)
+      ) {
+        this.closeMenu();
+      }
+    });
+  }
+
+  renderMenu() {
+    if (!this.menu) return;
+
+    const themes = [["auto", "Auto (system)"]];
+    ThemeManager.themes.forEach(({ label }, name) => {
+      themes.push([name, label]);
+    });
+    const codeThemes = Object.entries(this.codeThemes).map(
+      ([name, { label }]) => [name, label],
+    );
+
+    this.menu.innerHTML = "";
+    this.renderMenuGroup("Theme", "themeOption", themes);
+    if (codeThemes.length > 1) {
+      this.renderMenuGroup("Code theme", "codeThemeOption", codeThemes);
+    }
+
+    this.updateMenu();
+  }
+
+  renderMenuGroup(label, key, options) {
+    const group = document.createElement("div");
+    group.className = "theme-menu-group";
+    group.setAttribute("role", "group");
+    group.setAttribute("aria-label", label);
+
+    const heading = document.createElement("div");
+    heading.className = "theme-menu-label";
+    heading.setAttribute("aria-hidden", "true");
+    heading.textContent = label;
+    group.appendChild(heading);
+
+    options.forEach(([name, text]) => {
+      const option = document.createElement("button");
+      option.type = "button";
+      option.className = "theme-option";
+      option.tabIndex = -1;
+      option.textContent = text;
+      option.dataset[key] = name;
+      option.setAttribute("role", "menuitemradio");
+      group.appendChild(option);
+    });
+
+    this.menu.appendChild(group);
+  }
+
+  updateMenu() {
+    if (!this.menu) return;
+
+    this.menu.querySelectorAll(".theme-option").forEach((option) => {
+      const checked = option.dataset.codeThemeOption
+        ? option.dataset.codeThemeOption === this.codeTheme
+        : option.dataset.themeOption === this.preference;
+      option.setAttribute("aria-checked", String(checked));
+    });
+  }
+
+  isMenuOpen() {
+    return !this.menu.hidden;
+  }
+
+  openMenu(index) {
+    this.menu.hidden = false;
+    this.toggleButton.setAttribute("aria-expanded", "true");
+
+    const options = this.getMenuOptions();
+    const checked = options.findIndex(
+      (option) => option.getAttribute("aria-checked") === "true",
+    );
+    const target =
+      index === undefined ? options[Math.max(checked, 0)] : options.at(index);
+    if (target) target.focus();
+  }
+
+  closeMenu(restoreFocus = false) {
+    this.menu.hidden = true;
+    this.toggleButton.setAttribute("aria-expanded", "false");
+    if (restoreFocus) this.toggleButton.focus();
+  }
+
+  getMenuOptions() {
+    return Array.from(this.menu.querySelectorAll(".theme-option"));
+  }
+
+  handleMenuKey(event) {
+    const options = this.getMenuOptions();
+    const index = options.indexOf(document.activeElement);
+
+    switch (event.key) {
+      case "ArrowDown":
+        options[(index + 1) % options.length].focus();
+        break;
+      case "ArrowUp":
+        options[(index - 1 + options.length) % options.length].focus();
+        break;
+      case "Home":
+        options[0].focus();
+        break;
+      case "End":
+        options[options.length - 1].focus();
+        break;
+      case "Escape":
+        this.closeMenu(true);
+        break;
+      case "Tab":
+        this.closeMenu();
+        return;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+  }
+}
+
+// Themes listed in IgnitiaConfig (base.html), shared with the first-paint
+// bootstrap there; the built-in ones' variables live in style.scss
+ThemeManager.themes = new Map(
+  Object.entries((window.IgnitiaConfig || {}).themes || {}),
+);
+
+// Site-wide keyboard shortcuts. Components register actions under a stable
+// id; users can rebind any id in localStorage["shortcuts"], e.g.
+// {"heading.next": "n", "home": "g g"} ("" disables a shortcut).
+class ShortcutManager {
+  constructor() {
+    if (ShortcutManager.instance) return ShortcutManager.instance;
+    ShortcutManager.instance = this;
+
+    this.storageKey = "shortcuts";
+    this.shortcuts = new Map();
+    this.sequence = [];
+    this.sequenceTimer = null;
+    this.overlay = null;
+    this.previousFocus = null;
+    this.isMac = /Mac|iPhone|iPad/.test(navigator.platform);
+
+    document.addEventListener("keydown", (e) => this.handleKeydown(e));
+    this.registerDefaults();
+  }
+
+  static getInstance() {
+    return ShortcutManager.instance || new ShortcutManager();
+  }
+
+  // `keys` is a space-separated sequence of steps such as "g h", "?" or
+  // "mod+shift+l" (mod is Ctrl, or Cmd on macOS). Global shortcuts also
+  // fire while typing in a field.
+  register(id, { keys, description, group = "General", global = false, run }) {
+    this.shortcuts.set(id, { id, keys, description, group, global, run });
+    if (this.overlay && !this.overlay.hidden) this.renderOverlay();
+  }
+
+  unregister(id) {
+    this.shortcuts.delete(id);
+  }
+
+  getKeys(id) {
+    const overrides = this.loadOverrides();
+    const shortcut = this.shortcuts.get(id);
+    if (id in overrides) return overrides[id];
+    return shortcut ? shortcut.keys : "";
+  }
+
+  // Pass null to restore the default binding
+  rebind(id, keys) {
+    const overrides = this.loadOverrides();
+    if (keys === null) {
+      delete overrides[id];
+    } else {
+      overrides[id] = this.normalize(keys);
+    }
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(overrides));
+    } catch (e) {
+      // Storage can be blocked; the binding just won't persist
+    }
+  }
+
+  run(id) {
+    const shortcut = this.shortcuts.get(id);
+    if (shortcut) shortcut.run();
+  }
+
+  list() {
+    return Array.from(this.shortcuts.values()).map((shortcut) => ({
+      id: shortcut.id,
+      keys: this.getKeys(shortcut.id),
+      description: shortcut.description,
+      group: shortcut.group,
+    }));
+  }
+
+  loadOverrides() {
+    try {
+      const overrides = JSON.parse(localStorage.getItem(this.storageKey));
+      return overrides && typeof overrides === "object" ? overrides : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  normalize(keys) {
+    return String(keys)
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((step) => {
+        const parts = step.split("+");
+        const key = parts.pop() || "+";
+        const modifiers = ["mod", "alt", "shift"].filter((modifier) =>
+          parts.some(
+            (part) =>
+              part.toLowerCase() === modifier ||
+              (modifier === "mod" && /^(ctrl|cmd|meta)$/i.test(part)),
+          ),
+        );
+        return [...modifiers, modifiers.length ? key.toLowerCase() : key].join(
+          "+",
+        );
+      })
+      .join(" ");
+  }
+
+  // Printable keys match what they type ("?", "J"); with a modifier held
+  // they match the lowercased key plus modifiers ("mod+shift+l")
+  getStep(e) {
+    const modifiers = [];
+    if (e.ctrlKey || e.metaKey) modifiers.push("mod");
+    if (e.altKey) modifiers.push("alt");
+
+    const printable = e.key.length === 1;
+    if (e.shiftKey && (modifiers.length || !printable)) modifiers.push("shift");
+
+    const key = e.key === " " ? "space" : e.key;
+    return [...modifiers, modifiers.length ? key.toLowerCase() : key].join("+");
+  }
+
+  isTyping(target) {
+    return (
+      target.isContentEditable ||
+      ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName)
+    );
+  }
+
+  handleKeydown(e) {
+    if (
+      e.defaultPrevented ||
+      ["Control", "Meta", "Alt", "Shift"].includes(e.key)
+    ) {
+      return;
+    }
+
+    if (this.overlay && !this.overlay.hidden) {
+      if (e.key === "Escape" || this.getStep(e) === this.getKeys("help")) {
+        e.preventDefault();
+        this.closeOverlay();
+      }
+      return;
+    }
+
+    const typing = this.isTyping(e.target);
+    const bindings = this.list()
+      .filter(({ keys }) => keys)
+      .filter(({ id }) => !typing || this.shortcuts.get(id).global);
+
+    const step = this.getStep(e);
+    let sequence = [...this.sequence, step].join(" ");
+    let match = bindings.find(({ keys }) => keys === sequence);
+
+    // A step that doesn't continue the pending sequence may start a new one
+    if (!match && !this.isPrefix(bindings, sequence)) {
+      sequence = step;
+      match = bindings.find(({ keys }) => keys === sequence);
+    }
+
+    clearTimeout(this.sequenceTimer);
+
+    if (match) {
+      e.preventDefault();
+      this.sequence = [];
+      this.run(match.id);
+    } else if (this.isPrefix(bindings, sequence)) {
+      e.preventDefault();
+      this.sequence = sequence.split(" ");
+      this.sequenceTimer = setTimeout(() => (this.sequence = []), 1000);
+    } else {
+      this.sequence = [];
+    }
+  }
+
+  isPrefix(bindings, sequence) {
+    return bindings.some(({ keys }) => keys.startsWith(`${sequence} `));
+  }
+
+  registerDefaults() {
+    this.register("help", {
+      keys: "?",
+      description: "Show keyboard shortcuts",
+      run: () => this.openOverlay(),
+    });
+
+    this.register("search", {
+      keys: "/",
+      description: "Focus search",
+      run: () => {
+        const input = document.getElementById("search-input");
+        if (input && input.offsetParent !== null) {
+          input.focus();
+          input.select();
+        } else {
+          this.run("palette");
+        }
+      },
+    });
+
+    this.register("heading.next", {
+      keys: "j",
+      description: "Next heading",
+      group: "Page",
+      run: () => this.jumpToHeading(1),
+    });
+
+    this.register("heading.previous", {
+      keys: "k",
+      description: "Previous heading",
+      group: "Page",
+      run: () => this.jumpToHeading(-1),
+    });
+
+    this.register("page.previous", {
+      keys: "[",
+      description: "Previous page",
+      group: "Navigation",
+      run: () => this.followLink(".docs-navigation .nav-prev"),
+    });
+
+    this.register("page.next", {
+      keys: "]",
+      description: "Next page",
+      group: "Navigation",
+      run: () => this.followLink(".docs-navigation .nav-next"),
+    });
+
+    this.register("home", {
+      keys: "g h",
+      description: "Go to home page",
+      group: "Navigation",
+      run: () => this.followLink(".nav-brand .brand-link"),
+    });
+  }
+
+  followLink(selector) {
+    const link = document.querySelector(selector);
+    if (link) link.click();
+  }
+
+  // Headings below the fixed navbar; their scroll-margin-top marks where a
+  // heading counts as reached
+  jumpToHeading(direction) {
+    const headings = Array.from(
+      document.querySelectorAll(".prose h2[id], .prose h3[id], .prose h4[id]"),
+    );
+    const offset = (heading) =>
+      heading.getBoundingClientRect().top -
+      (parseFloat(getComputedStyle(heading).scrollMarginTop) || 0);
+
+    const target =
+      direction > 0
+        ? headings.find((heading) => offset(heading) > 1)
+        : headings.reverse().find((heading) => offset(heading) < -1);
+    if (!target) return;
+
+    window.dispatchEvent(
+      new CustomEvent("anchorscroll", { detail: { id: target.id } }),
+    );
+    target.scrollIntoView({ behavior: "smooth", block: "start" });
+  }
+
+  // "mod+shift+l g" -> [["Ctrl", "Shift", "L"], ["g"]]
+  formatKeys(keys) {
+    const names = {
+      mod: this.isMac ? "⌘" : "Ctrl",
+      alt: this.isMac ? "⌥" : "Alt",
+      shift: "Shift",
+      space: "Space",
+    };
+
+    return keys.split(" ").map((step) => {
+      const parts = step.split("+");
+      const key = parts.pop() || "+";
+      return [
+        ...parts.map((part) => names[part] || part),
+        names[key] || (parts.length ? key.toUpperCase() : key),
+      ];
+    });
+  }
+
+  openOverlay() {
+    if (!this.overlay) this.createOverlay();
+
+    this.previousFocus = document.activeElement;
+    this.renderOverlay();
+    this.overlay.hidden = false;
+    this.overlay.querySelector(".shortcut-close").focus();
+  }
+
+  closeOverlay() {
+    this.overlay.hidden = true;
+    if (this.previousFocus && this.previousFocus.focus) {
+      this.previousFocus.focus();
+    }
+  }
+
+  createOverlay() {
+    this.overlay = document.createElement("div");
+    this.overlay.className = "shortcut-overlay";
+    this.overlay.hidden = true;
+    this.overlay.innerHTML = `
+      <div class="shortcut-backdrop"></div>
+      <div class="shortcut-dialog" role="dialog" aria-modal="true" aria-labelledby="shortcut-title">
+        <div class="shortcut-header">
+          <h2 id="shortcut-title">Keyboard shortcuts</h2>
+          <button type="button" class="shortcut-close" aria-label="Close">×</button>
+        </div>
+        <div class="shortcut-groups"></div>
+      </div>
+    `;
+
+    this.overlay.addEventListener("click", (e) => {
+      if (e.target.closest(".shortcut-backdrop, .shortcut-close")) {
+        this.closeOverlay();
+      }
+    });
+
+    // Keep focus inside the dialog while it is open
+    this.overlay.addEventListener("keydown", (e) => {
+      if (e.key === "Tab") {
+        e.preventDefault();
+        this.overlay.querySelector(".shortcut-close").focus();
+      }
+    });
+
+    document.body.appendChild(this.overlay);
+  }
+
+  renderOverlay() {
+    const container = this.overlay.querySelector(".shortcut-groups");
+    const groups = new Map();
+
+    this.list()
+      .filter(({ keys }) => keys)
+      .forEach((shortcut) => {
+        if (!groups.has(shortcut.group)) groups.set(shortcut.group, []);
+        groups.get(shortcut.group).push(shortcut);
+      });
+
+    container.textContent = "";
+    groups.forEach((shortcuts, name) => {
+      const section = document.createElement("section");
+      const heading = document.createElement("h3");
+      heading.textContent = name;
+      const list = document.createElement("dl");
+
+      shortcuts.forEach(({ keys, description }) => {
+        const term = document.createElement("dt");
+        this.formatKeys(keys).forEach((step, index) => {
+          if (index > 0) term.append(" then ");
+          step.forEach((part) => {
+            const kbd = document.createElement("kbd");
+            kbd.textContent = part;
+            term.appendChild(kbd);
+          });
+        });
+
+        const detail = document.createElement("dd");
+        detail.textContent = description;
+        list.append(term, detail);
+      });
+
+      section.append(heading, list);
+      container.appendChild(section);
+    });
+  }
+}
+
+// Multi-version docs. The latest release is built at the site root and
+// older ones into `v<version>/` below it; versions.json at the root lists
+// them all and drives the switcher and the outdated banner.
+class VersionManager {
+  constructor() {
+    this.select = document.getElementById("version-select");
+    this.banner = document.getElementById("version-banner");
+    this.config = window.IgnitiaConfig;
+    this.manifest = null;
+
+    if (this.select && this.config) {
+      this.init();
+    }
+  }
+
+  async init() {
+    try {
+      const response = await fetch(this.getRootUrl("versions.json"));
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      this.manifest = await response.json();
+    } catch (error) {
+      // Without a manifest the switcher stays a label for this version
+      console.warn("Version manifest unavailable:", error);
+      return;
+    }
+
+    this.renderOptions();
+    this.updateBanner();
+
+    this.select.addEventListener("change", () => {
+      this.switchTo(this.select.value);
+    });
+  }
+
+  // The root shared by all versions: this build's base without its
+  // `v<version>/` folder
+  getRootUrl(path = "") {
+    const base = this.config.url();
+    const folder = `v${this.config.version}/`;
+    const root = base.endsWith(`/${folder}`)
+      ? base.slice(0, -folder.length)
+      : base;
+    return root + path;
+  }
+
+  getVersionUrl(version, path = "") {
+    const folder = version === this.manifest.latest ? "" : `v${version}/`;
+    return this.getRootUrl(folder + path);
+  }
+
+  // Current page path relative to this version's base
+  getPagePath() {
+    const base = new URL(this.config.url()).pathname;
+    const { pathname } = window.location;
+    return pathname.startsWith(base) ? pathname.slice(base.length) : "";
+  }
+
+  renderOptions() {
+    const { latest, versions = [] } = this.manifest;
+    const current = this.config.version;
+    const entries = versions.some(({ version }) => version === current)
+      ? versions
+      : [{ version: current }, ...versions];
+
+    this.select.textContent = "";
+    entries.forEach(({ version, label }) => {
+      const option = document.createElement("option");
+      option.value = version;
+      option.textContent =
+        label || (version === latest ? `v${version} (latest)` : `v${version}`);
+      option.selected = version === current;
+      this.select.appendChild(option);
+    });
+
+    this.select.disabled = entries.length < 2;
+  }
+
+  updateBanner() {
+    const { latest, versions = [] } = this.manifest;
+    const current = this.config.version;
+    if (!this.banner || !latest || latest === current) return;
+
+    // The manifest lists versions newest first
+    const order = versions.map(({ version }) => version);
+    const isPrerelease =
+      order.includes(current) && order.indexOf(current) < order.indexOf(latest);
+
+    this.banner.querySelector("[data-version-current]").textContent =
+      `v${current}`;
+    this.banner.querySelector("[data-version-status]").textContent =
+      isPrerelease ? "a pre-release" : "an older release";
+    this.banner.querySelector("[data-version-latest]").textContent =
+      `v${latest}`;
+
+    const link = this.banner.querySelector("a");
+    link.href = this.getVersionUrl(latest);
+    link.addEventListener("click", (e) => {
+      e.preventDefault();
+      this.switchTo(latest);
+    });
+
+    this.banner.hidden = false;
+    document.body.classList.add("version-outdated");
+  }
+
+  async switchTo(version) {
+    this.select.disabled = true;
+    window.location.assign(await this.resolveUrl(version));
+  }
+
+  // The same page in the other version when it exists there, otherwise
+  // that version's index
+  async resolveUrl(version) {
+    const page = this.getVersionUrl(version, this.getPagePath());
+
+    try {
+      const response = await fetch(page, { method: "HEAD" });
+      if (response.ok) return page + window.location.hash;
+    } catch (error) {
+      // Offline or blocked; fall back to the index
+    }
+
+    return this.getVersionUrl(version);
+  }
+}
+
+// Mobile Navigation Management
+// Below the breakpoint #nav-menu is an off-canvas drawer: a modal dialog
+// with a focus trap, scroll lock and swipe gestures. On wider screens it is
+// the plain navbar and none of the drawer ARIA applies.
+class NavigationManager {
+  constructor() {
+    this.navToggle = document.getElementById("nav-toggle");
+    this.navMenu = document.getElementById("nav-menu");
+    this.backdrop = document.getElementById("nav-backdrop");
+    this.media = window.matchMedia("(max-width: 768px)");
+    this.previousFocus = null;
+    this.swipe = null;
+    // Swipes that start this close to the right edge open the drawer
+    this.edgeWidth = 24;
+    this.init();
+  }
+
+  init() {
+    if (this.navToggle && this.navMenu) {
+      this.navToggle.addEventListener("click", () => this.toggleMenu());
+
+      if (this.backdrop) {
+        this.backdrop.addEventListener("click", () => this.closeMenu());
+      }
+
+      // Escape closes the drawer unless a popup inside it handled the key
+      document.addEventListener("keydown", (e) => {
+        if (e.key === "Escape" && this.isOpen() && !e.defaultPrevented) {
+          this.closeMenu();
+        } else if (e.key === "Tab" && this.isOpen()) {
+          this.trapFocus(e);
+        }
+      });
+
+      // Close menu when clicking on nav links (mobile)
+      const navLinks = this.navMenu.querySelectorAll(".nav-link");
+      navLinks.forEach((link) => {
+        link.addEventListener("click", () => {
+          this.closeMenu(false);
+        });
+      });
+
+      const onBreakpoint = () => {
+        this.closeMenu(false);
+        this.updateAria();
+      };
+      if (this.media.addEventListener) {
+        this.media.addEventListener("change", onBreakpoint);
+      } else {
+        this.media.addListener(onBreakpoint);
+      }
+      this.updateAria();
+
+      this.initSwipe();
+    }
+  }
+
+  isMobile() {
+    return this.media.matches;
+  }
+
+  isOpen() {
+    return this.navMenu.classList.contains("active");
+  }
+
+  toggleMenu() {
+    if (this.isOpen()) {
+      this.closeMenu();
+    } else {
+      this.openMenu();
+    }
+  }
+
+  openMenu() {
+    if (!this.isMobile() || this.isOpen()) return;
+
+    this.previousFocus = document.activeElement;
+    this.setOpen(true);
+
+    const [first] = this.getFocusable().filter(
+      (element) => element !== this.navToggle,
+    );
+    if (first) first.focus();
+  }
+
+  // Focus goes back to where it was before opening, unless the drawer is
+  // closing because a link was followed
+  closeMenu(returnFocus = true) {
+    if (!this.isOpen()) return;
+
+    this.setOpen(false);
+
+    if (returnFocus) {
+      const target = this.previousFocus || this.navToggle;
+      if (target && target.focus) target.focus();
+    }
+    this.previousFocus = null;
+  }
+
+  setOpen(open) {
+    this.navMenu.classList.toggle("active", open);
+    this.navToggle.classList.toggle("active", open);
+    document.body.classList.toggle("nav-open", open);
+    if (this.backdrop) this.backdrop.hidden = !open;
+
+    this.navToggle.setAttribute(
+      "aria-label",
+      open ? "Close navigation menu" : "Open navigation menu",
+    );
+    this.updateAria();
+  }
+
+  updateAria() {
+    const open = this.isOpen();
+
+    if (this.isMobile()) {
+      this.navToggle.setAttribute("aria-expanded", String(open));
+      this.navMenu.setAttribute("role", "dialog");
+      this.navMenu.setAttribute("aria-modal", "true");
+      this.navMenu.setAttribute("aria-label", "Site navigation");
+      this.navMenu.toggleAttribute("inert", !open);
+      this.navMenu.setAttribute("aria-hidden", String(!open));
+    } else {
+      this.navToggle.removeAttribute("aria-expanded");
+      ["role", "aria-modal", "aria-label", "inert", "aria-hidden"].forEach(
+        (attribute) => this.navMenu.removeAttribute(attribute),
+      );
+    }
+  }
+
+  // The toggle stays on top of the drawer and doubles as its close button
+  getFocusable() {
+    const selector =
+      'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), [tabindex]:not([tabindex="-1"])';
+    const inMenu = Array.from(this.navMenu.querySelectorAll(selector)).filter(
+      (element) => !element.closest("[hidden]"),
+    );
+
+    return [this.navToggle, ...inMenu];
   }
 
-  init() {
-    // Set initial theme
-    this.setTheme(this.currentTheme);
+  trapFocus(event) {
+    const focusable = this.getFocusable();
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = focusable.includes(document.activeElement);
 
-    // Setup toggle button
-    const toggleButton = document.getElementById("theme-toggle");
-    if (toggleButton) {
-      toggleButton.addEventListener("click", () => this.toggleTheme());
+    if (event.shiftKey && (document.activeElement === first || !inside)) {
+      event.preventDefault();
+      last.focus();
+    } else if (
+      !event.shiftKey &&
+      (document.activeElement === last || !inside)
+    ) {
+      event.preventDefault();
+      first.focus();
     }
+  }
 
-    // Listen for system theme changes
-    if (window.matchMedia) {
-      window
-        .matchMedia("(prefers-color-scheme: dark)")
-        .addEventListener("change", (e) => {
-          // Only auto-switch if user hasn't manually set a preference
-          if (!localStorage.getItem("theme")) {
-            this.setTheme(e.matches ? "dark" : "light");
-          }
-        });
-    }
+  // Swipe left from the right edge to open, swipe right on the open drawer
+  // to close. The drawer follows the finger until it is released.
+  initSwipe() {
+    document.addEventListener(
+      "touchstart",
+      (e) => {
+        if (!this.isMobile() || e.touches.length !== 1) return;
 
-    // Keyboard shortcut (Ctrl/Cmd + Shift + L)
-    document.addEventListener("keydown", (e) => {
-      if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === "L") {
-        e.preventDefault();
-        this.toggleTheme();
-      }
-    });
-  }
-}
+        const touch = e.touches[0];
+        const open = this.isOpen();
+        const fromEdge = window.innerWidth - touch.clientX <= this.edgeWidth;
+        if (!open && !fromEdge) return;
 
-// Mobile Navigation Management
-class NavigationManager {
-  constructor() {
-    this.navToggle = document.getElementById("nav-toggle");
-    this.navMenu = document.getElementById("nav-menu");
-    this.init();
-  }
+        this.swipe = {
+          open,
+          startX: touch.clientX,
+          startY: touch.clientY,
+          startTime: Date.now(),
+          width: this.navMenu.offsetWidth || window.innerWidth * 0.8,
+          dragging: false,
+          offset: 0,
+        };
+      },
+      { passive: true },
+    );
 
-  init() {
-    if (this.navToggle && this.navMenu) {
-      this.navToggle.addEventListener("click", () => this.toggleMenu());
+    document.addEventListener(
+      "touchmove",
+      (e) => {
+        if (!this.swipe) return;
 
-      // Close menu when clicking outside
-      document.addEventListener("click", (e) => {
-        if (
-          !this.navMenu.contains(e.target) &&
-          !this.navToggle.contains(e.target)
-        ) {
-          this.closeMenu();
-        }
-      });
+        const touch = e.touches[0];
+        const dx = touch.clientX - this.swipe.startX;
+        const dy = touch.clientY - this.swipe.startY;
 
-      // Close menu on escape key
-      document.addEventListener("keydown", (e) => {
-        if (e.key === "Escape") {
-          this.closeMenu();
+        // Vertical movement means the reader is scrolling
+        if (!this.swipe.dragging) {
+          if (Math.abs(dy) > Math.abs(dx)) {
+            this.swipe = null;
+            return;
+          }
+          if (Math.abs(dx) < 10) return;
+          this.swipe.dragging = true;
+          this.navMenu.classList.add("dragging");
         }
-      });
 
-      // Close menu when clicking on nav links (mobile)
-      const navLinks = this.navMenu.querySelectorAll(".nav-link");
-      navLinks.forEach((link) => {
-        link.addEventListener("click", () => {
-          this.closeMenu();
-        });
-      });
-    }
-  }
+        const { open, width } = this.swipe;
+        this.swipe.offset = open
+          ? Math.min(Math.max(dx, 0), width)
+          : Math.min(Math.max(width + dx, 0), width);
+        this.navMenu.style.transform = `translateX(${this.swipe.offset}px)`;
+      },
+      { passive: true },
+    );
 
-  toggleMenu() {
-    this.navMenu.classList.toggle("active");
-    this.navToggle.classList.toggle("active");
+    const finish = () => {
+      if (!this.swipe) return;
 
-    // Update aria attributes for accessibility
-    const isOpen = this.navMenu.classList.contains("active");
-    this.navToggle.setAttribute("aria-expanded", isOpen);
-    this.navMenu.setAttribute("aria-hidden", !isOpen);
-  }
+      const { dragging, open, offset, width, startTime } = this.swipe;
+      this.swipe = null;
+      if (!dragging) return;
 
-  closeMenu() {
-    this.navMenu.classList.remove("active");
-    this.navToggle.classList.remove("active");
-    this.navToggle.setAttribute("aria-expanded", false);
-    this.navMenu.setAttribute("aria-hidden", true);
+      this.navMenu.classList.remove("dragging");
+      this.navMenu.style.transform = "";
+
+      // Past the halfway point, or a quick flick, settles the other way
+      const moved = open ? offset : width - offset;
+      const flick = moved > 30 && Date.now() - startTime < 250;
+      if (moved > width / 2 || flick) {
+        if (open) {
+          this.closeMenu();
+        } else {
+          this.openMenu();
+        }
+      }
+    };
+
+    document.addEventListener("touchend", finish);
+    document.addEventListener("touchcancel", finish);
   }
 }
 
@@ -459,25 +4447,39 @@ class ScrollManager {
   }
 
   init() {
-    // Smooth scrolling for anchor links
-    document.querySelectorAll('a[href^="#"]').forEach((anchor) => {
-      anchor.addEventListener("click", (e) => this.handleSmoothScroll(e));
+    // Smooth scrolling for anchor links, including those in pages loaded
+    // by PageRouter
+    document.addEventListener("click", (e) => {
+      const anchor = e.target.closest('a[href^="#"], .toc a[href*="#"]');
+      if (anchor) this.handleSmoothScroll(e, anchor);
     });
 
     // Add scroll-to-top functionality
     this.addScrollToTop();
   }
 
-  handleSmoothScroll(event) {
+  handleSmoothScroll(event, anchor) {
+    if (event.defaultPrevented) return;
+
+    const url = new URL(anchor.href, window.location.href);
+    if (url.pathname !== window.location.pathname || !url.hash) return;
+
+    const id = decodeURIComponent(url.hash.slice(1));
+    const target = document.getElementById(id);
+    if (!target) return;
+
     event.preventDefault();
-    const targetId = event.target.getAttribute("href");
-    const target = document.querySelector(targetId);
 
-    if (target) {
-      target.scrollIntoView({
-        behavior: "smooth",
-        block: "start",
-      });
+    // Let the scroll spy hold this target while the smooth scroll runs
+    window.dispatchEvent(new CustomEvent("anchorscroll", { detail: { id } }));
+
+    target.scrollIntoView({
+      behavior: "smooth",
+      block: "start",
+    });
+
+    if (window.location.hash !== url.hash) {
+      history.pushState({}, "", url.hash);
     }
   }
 
@@ -529,6 +4531,454 @@ class ScrollManager {
   }
 }
 
+// Client-side navigation between docs pages. Links are prefetched on hover
+// and when they scroll into view; following one swaps the contents of
+// <main> and updates the head, so the navbar, search index and long-lived
+// managers stay as they are. After each swap the page-level components run
+// again through initPageContent() and a `pagechange` event fires on window.
+class PageRouter {
+  constructor() {
+    this.main = document.querySelector("main.main-content");
+    this.config = window.IgnitiaConfig;
+    this.cache = new Map();
+    this.maxCached = 20;
+    this.pageClasses = Array.from(document.body.classList);
+    this.navigationId = 0;
+    this.hoverTimer = null;
+    // Scroll position per history entry key. History is only written when
+    // leaving an entry, as browsers throttle replaceState.
+    this.scrollPositions = new Map();
+
+    if (this.main && this.config && window.DOMParser && history.pushState) {
+      PageRouter.instance = this;
+      this.init();
+    }
+  }
+
+  // Listeners and observers that belong to the current page pass this
+  // signal; it is aborted when the page is swapped out
+  static get signal() {
+    return PageRouter.controller.signal;
+  }
+
+  init() {
+    // Each history entry keeps its own scroll position in its state
+    history.scrollRestoration = "manual";
+    this.currentPath = this.getPagePath(window.location.href);
+    this.restoreReturningScroll();
+
+    document.addEventListener("click", (e) => this.handleClick(e));
+    window.addEventListener("popstate", (e) => this.handlePopState(e));
+    window.addEventListener(
+      "scroll",
+      () => this.scrollPositions.set(this.getEntryKey(), window.scrollY),
+      { passive: true },
+    );
+    // Reloads and visits to other sites come back through
+    // restoreReturningScroll()
+    window.addEventListener("pagehide", () => this.saveScroll());
+
+    // Prefetch on hover intent, focus or touch
+    document.addEventListener("mouseover", (e) => {
+      const link = e.target.closest("a[href]");
+      if (!link || link.contains(e.relatedTarget)) return;
+
+      clearTimeout(this.hoverTimer);
+      this.hoverTimer = setTimeout(() => this.prefetch(link), 65);
+    });
+    document.addEventListener("mouseout", (e) => {
+      const link = e.target.closest("a[href]");
+      if (link && !link.contains(e.relatedTarget)) {
+        clearTimeout(this.hoverTimer);
+      }
+    });
+    document.addEventListener("focusin", (e) => this.prefetch(e.target));
+    document.addEventListener("touchstart", (e) => this.prefetch(e.target), {
+      passive: true,
+    });
+
+    this.announcer = document.createElement("div");
+    this.announcer.className = "sr-only";
+    this.announcer.setAttribute("aria-live", "assertive");
+    this.announcer.setAttribute("aria-atomic", "true");
+    document.body.appendChild(this.announcer);
+
+    this.observeLinks();
+  }
+
+  saveScroll() {
+    history.replaceState({ ...history.state, scrollY: window.scrollY }, "");
+  }
+
+  // Entries made by the browser or by anchor links start without a key;
+  // each gets one the first time it scrolls
+  getEntryKey() {
+    const state = history.state || {};
+    if (state.key) return state.key;
+
+    const key = Math.random().toString(36).slice(2);
+    history.replaceState({ ...state, key }, "");
+    return key;
+  }
+
+  // Coming back from another site or reloading reloads the whole page
+  restoreReturningScroll() {
+    const [navigation] = performance.getEntriesByType
+      ? performance.getEntriesByType("navigation")
+      : [];
+    const state = history.state || {};
+
+    if (
+      navigation &&
+      ["back_forward", "reload"].includes(navigation.type) &&
+      typeof state.scrollY === "number"
+    ) {
+      this.restoreScroll(state.scrollY);
+    }
+  }
+
+  // Page URL without the hash; the cache and history work per page
+  getPagePath(href) {
+    const url = new URL(href, window.location.href);
+    return url.origin + url.pathname + url.search;
+  }
+
+  // The URL to load for a link, or null when the browser should handle it:
+  // other sites, other docs versions, files, new tabs and same-page anchors
+  getRoutableUrl(link) {
+    if (!link || !link.href || link.tagName !== "A") return null;
+    if (link.target && link.target !== "_self") return null;
+    if (link.hasAttribute("download") || link.hasAttribute("data-reload")) {
+      return null;
+    }
+
+    return this.getRoutableHref(link.href);
+  }
+
+  getRoutableHref(href) {
+    const url = new URL(href, window.location.href);
+    const base = new URL(this.config.url());
+    if (url.origin !== base.origin || !url.pathname.startsWith(base.pathname)) {
+      return null;
+    }
+
+    const path = url.pathname.slice(base.pathname.length);
+    if (/^v\d+\./.test(path) || /\.(?!html?$)[a-z0-9]+$/i.test(path)) {
+      return null;
+    }
+
+    if (this.getPagePath(url.href) === this.currentPath) return null;
+
+    return url;
+  }
+
+  handleClick(e) {
+    if (
+      e.defaultPrevented ||
+      e.button !== 0 ||
+      e.metaKey ||
+      e.ctrlKey ||
+      e.shiftKey ||
+      e.altKey
+    ) {
+      return;
+    }
+
+    const url = this.getRoutableUrl(e.target.closest("a[href]"));
+    if (!url) return;
+
+    e.preventDefault();
+    this.navigate(url.href);
+  }
+
+  // Navigations made from script, such as search results, take the same
+  // route as link clicks
+  visit(href) {
+    const url = this.getRoutableHref(href);
+    if (url) {
+      this.navigate(url.href);
+    } else {
+      window.location.assign(href);
+    }
+  }
+
+  handlePopState(e) {
+    // Positions seen in this session are newer than the saved ones
+    const state = e.state || {};
+    const scrollY = this.scrollPositions.has(state.key)
+      ? this.scrollPositions.get(state.key)
+      : state.scrollY;
+    if (this.getPagePath(window.location.href) === this.currentPath) {
+      // Moving between anchors of the same page
+      this.restoreScroll(scrollY);
+      return;
+    }
+
+    this.navigate(window.location.href, { push: false, scrollY });
+  }
+
+  // Prefetch links to other pages as they come into view
+  observeLinks() {
+    if (!("IntersectionObserver" in window) || this.isSlowConnection()) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (!entry.isIntersecting) return;
+
+        observer.unobserve(entry.target);
+        const idle = window.requestIdleCallback || setTimeout;
+        idle(() => this.prefetch(entry.target));
+      });
+    });
+
+    this.main
+      .querySelectorAll(".prose a[href], .docs-navigation a[href]")
+      .forEach((link) => {
+        if (this.getRoutableUrl(link)) observer.observe(link);
+      });
+
+    PageRouter.signal.addEventListener("abort", () => observer.disconnect());
+  }
+
+  isSlowConnection() {
+    const connection = navigator.connection;
+    return Boolean(
+      connection &&
+      (connection.saveData || /2g/.test(connection.effectiveType || "")),
+    );
+  }
+
+  prefetch(target) {
+    const link = target && target.closest ? target.closest("a[href]") : null;
+    const url = this.getRoutableUrl(link);
+    if (url) this.load(url.href).catch(() => {});
+  }
+
+  // Resolves to { url, html } for HTML pages and null for anything else
+  load(href) {
+    const key = this.getPagePath(href);
+
+    if (!this.cache.has(key)) {
+      const request = fetch(key, {
+        credentials: "same-origin",
+        headers: { Accept: "text/html" },
+      }).then(async (response) => {
+        const type = response.headers.get("Content-Type") || "";
+        if (!response.ok || !type.includes("text/html")) return null;
+
+        return { url: response.url || key, html: await response.text() };
+      });
+
+      request.catch(() => this.cache.delete(key));
+      this.cache.set(key, request);
+
+      // Keep only the most recent pages
+      if (this.cache.size > this.maxCached) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+    }
+
+    return this.cache.get(key);
+  }
+
+  async navigate(href, { push = true, scrollY } = {}) {
+    const id = ++this.navigationId;
+    const hash = new URL(href, window.location.href).hash;
+
+    this.main.setAttribute("aria-busy", "true");
+
+    let page = null;
+    try {
+      page = await this.load(href);
+    } catch (error) {
+      // Offline or blocked; let the browser (and service worker) try
+    }
+
+    // A later click won
+    if (id !== this.navigationId) return;
+    this.main.removeAttribute("aria-busy");
+
+    const doc = page && new DOMParser().parseFromString(page.html, "text/html");
+    if (!doc || !this.canRender(doc)) {
+      // Back/forward already moved to this entry
+      if (push) {
+        window.location.assign(href);
+      } else {
+        window.location.reload();
+      }
+      return;
+    }
+
+    if (push) {
+      this.saveScroll();
+      history.pushState({}, "", page.url + hash);
+    }
+
+    this.currentPath = this.getPagePath(window.location.href);
+    this.render(doc);
+    this.restoreScroll(scrollY);
+
+    if (push) {
+      this.main.setAttribute("tabindex", "-1");
+      this.main.focus({ preventScroll: true });
+    }
+    this.announcer.textContent = document.title;
+  }
+
+  // Pages from another build (e.g. another docs version) need a full load
+  canRender(doc) {
+    const script = (root) => {
+      const element = root.querySelector('script[src*="js/main.js"]');
+      return (
+        element &&
+        new URL(element.getAttribute("src"), this.config.url()).pathname
+      );
+    };
+
+    return (
+      doc.querySelector("main.main-content") !== null &&
+      script(doc) === script(document)
+    );
+  }
+
+  render(doc) {
+    // Release the outgoing page's listeners and observers
+    PageRouter.controller.abort();
+    PageRouter.controller = new AbortController();
+
+    document.title = doc.title;
+    this.updateHead(doc);
+
+    const classes = Array.from(doc.body.classList);
+    document.body.classList.remove(...this.pageClasses);
+    document.body.classList.add(...classes);
+    this.pageClasses = classes;
+
+    const main = doc.querySelector("main.main-content");
+    this.main.replaceChildren(
+      ...Array.from(main.childNodes).map((node) => document.adoptNode(node)),
+    );
+
+    this.loadAssets(doc);
+    this.runScripts(this.main);
+
+    initPageContent();
+    this.observeLinks();
+    window.dispatchEvent(
+      new CustomEvent("pagechange", { detail: { url: window.location.href } }),
+    );
+  }
+
+  // Copy over the page-specific tags: meta description, Open Graph and
+  // Twitter cards, canonical and alternate links, structured data
+  updateHead(doc) {
+    const selectors = [
+      "meta[name]",
+      "meta[property]",
+      "meta[itemprop]",
+      'link[rel="canonical"]',
+      'link[rel="alternate"]',
+      'script[type="application/ld+json"]',
+    ];
+
+    const keyOf = (element) =>
+      [
+        element.tagName,
+        element.getAttribute("name"),
+        element.getAttribute("property"),
+        element.getAttribute("itemprop"),
+        element.getAttribute("rel"),
+        element.getAttribute("hreflang"),
+        element.getAttribute("type"),
+      ].join("|");
+
+    const current = new Map();
+    document.head.querySelectorAll(selectors.join(",")).forEach((element) => {
+      current.set(keyOf(element), element);
+    });
+
+    doc.head.querySelectorAll(selectors.join(",")).forEach((element) => {
+      const key = keyOf(element);
+      const existing = current.get(key);
+      const copy = document.importNode(element, true);
+
+      if (existing) {
+        existing.replaceWith(copy);
+        current.delete(key);
+      } else {
+        document.head.appendChild(copy);
+      }
+    });
+
+    current.forEach((element) => element.remove());
+  }
+
+  // Stylesheets and scripts the new page adds outside <main> (its
+  // extra_head and extra_scripts blocks), loaded once
+  loadAssets(doc) {
+    doc.head.querySelectorAll('link[rel="stylesheet"]').forEach((link) => {
+      const href = link.href;
+      const loaded = Array.from(
+        document.querySelectorAll('link[rel="stylesheet"]'),
+      ).some((existing) => existing.href === href);
+      if (!loaded) document.head.appendChild(document.importNode(link, true));
+    });
+
+    doc.body.querySelectorAll(":scope > script[src]").forEach((script) => {
+      if (!this.isScriptLoaded(script.src)) {
+        document.body.appendChild(this.cloneScript(script));
+      }
+    });
+  }
+
+  // Scripts parsed by DOMParser don't run; recreate them. Inline scripts
+  // run on every visit, external ones only once per document.
+  runScripts(root) {
+    root.querySelectorAll("script").forEach((script) => {
+      const type = script.getAttribute("type");
+      if (type && !/javascript|module/.test(type)) return;
+
+      if (script.src && this.isScriptLoaded(script.src, script)) {
+        return;
+      }
+
+      script.replaceWith(this.cloneScript(script));
+    });
+  }
+
+  isScriptLoaded(src, except = null) {
+    return Array.from(document.querySelectorAll("script[src]")).some(
+      (script) => script !== except && script.src === src,
+    );
+  }
+
+  cloneScript(script) {
+    const copy = document.createElement("script");
+    Array.from(script.attributes).forEach(({ name, value }) => {
+      copy.setAttribute(name, value);
+    });
+    copy.textContent = script.textContent;
+    if (script.src) copy.async = false;
+    return copy;
+  }
+
+  restoreScroll(scrollY) {
+    const hash = decodeURIComponent(window.location.hash.slice(1));
+    const target = hash && document.getElementById(hash);
+
+    if (scrollY !== undefined) {
+      window.scrollTo({ top: scrollY, left: 0, behavior: "instant" });
+    } else if (target) {
+      target.scrollIntoView({ block: "start", behavior: "instant" });
+    } else {
+      window.scrollTo({ top: 0, left: 0, behavior: "instant" });
+    }
+  }
+}
+
+PageRouter.controller = new AbortController();
+PageRouter.instance = null;
+
 // Performance Observer for Loading States
 class PerformanceManager {
   constructor() {
@@ -566,22 +5016,138 @@ class PerformanceManager {
   }
 }
 
+// Offline Support (service worker registration and status)
+class OfflineManager {
+  constructor() {
+    this.status = null;
+    this.downloadButton = null;
+
+    if ("serviceWorker" in navigator && window.IgnitiaConfig) {
+      this.init();
+    }
+  }
+
+  async init() {
+    const config = window.IgnitiaConfig;
+    const params = new URLSearchParams({
+      v: config.version,
+      lang: config.lang,
+    });
+
+    try {
+      await navigator.serviceWorker.register(config.url(`sw.js?${params}`), {
+        scope: config.url(),
+      });
+    } catch (error) {
+      console.error("Service worker registration failed:", error);
+      return;
+    }
+
+    navigator.serviceWorker.addEventListener("message", (e) =>
+      this.handleMessage(e),
+    );
+
+    this.bindControls();
+    window.addEventListener("pagechange", () => this.bindControls());
+  }
+
+  // The status and download button live in the sidebar, which is replaced
+  // on every client-side navigation
+  bindControls() {
+    this.status = document.getElementById("offline-status");
+    this.downloadButton = document.getElementById("offline-download");
+
+    if (this.downloadButton) {
+      this.downloadButton.hidden = false;
+      this.downloadButton.addEventListener("click", () => this.downloadAll());
+    }
+
+    // Save the page being read right away
+    this.cachePages([window.location.href]);
+  }
+
+  async cachePages(urls) {
+    const registration = await navigator.serviceWorker.ready;
+    if (registration.active) {
+      registration.active.postMessage({ type: "cache-pages", urls });
+    }
+  }
+
+  async downloadAll() {
+    const config = window.IgnitiaConfig;
+    this.downloadButton.disabled = true;
+    this.downloadButton.textContent = "⏳ Preparing download...";
+
+    try {
+      // Every page that has a heading outline, i.e. all docs pages
+      const outline = await fetch(config.url("search-sections/")).then((res) =>
+        res.json(),
+      );
+      await this.cachePages(
+        Object.keys(outline).map((permalink) => config.link(permalink)),
+      );
+    } catch (error) {
+      console.error("Failed to download docs for offline use:", error);
+      this.downloadButton.disabled = false;
+      this.downloadButton.textContent = "⚠️ Download failed, retry";
+    }
+  }
+
+  handleMessage(event) {
+    const { type, done, total, failed } = event.data || {};
+    if (type !== "cache-progress") return;
+
+    if (done === total) {
+      this.updateStatus();
+    }
+
+    // Progress for single-page saves isn't worth showing
+    if (!this.downloadButton || total === 1) return;
+
+    if (done < total) {
+      this.downloadButton.textContent = `⏳ Downloading ${done}/${total}...`;
+    } else {
+      this.downloadButton.disabled = false;
+      this.downloadButton.textContent = failed
+        ? `⚠️ ${failed} of ${total} pages failed, retry`
+        : "✅ All docs available offline";
+    }
+  }
+
+  async updateStatus() {
+    if (!this.status || !window.caches) return;
+
+    const url = window.location.href.split(/[?#]/)[0];
+    this.status.hidden = !(await caches.match(url));
+  }
+}
+
+// Components bound to the page content; PageRouter runs these again after
+// every client-side navigation
+function initPageContent() {
+  new TOCToggle();
+  const codeBlocks = new CodeCopyButtons();
+  new CodeTabs();
+  new RoutePlayground();
+  new ServerConfigBuilder(codeBlocks);
+  new MiddlewarePipeline(codeBlocks);
+  new ApiReferenceLinks();
+  new TOCScrollSpy();
+}
+
 // Initialize all managers when DOM is ready
 document.addEventListener("DOMContentLoaded", function () {
   // Initialize all managers
-  new ThemeManager();
+  ShortcutManager.getInstance();
+  ThemeManager.getInstance();
   new NavigationManager();
-  new TOCToggle();
+  new VersionManager();
   // new ClipboardManager();
-  new CodeCopyButtons();
+  initPageContent();
   new ScrollManager();
+  new PageRouter();
   new PerformanceManager();
-
-  // Add ARIA labels for better accessibility
-  const themeToggle = document.getElementById("theme-toggle");
-  if (themeToggle) {
-    themeToggle.setAttribute("role", "switch");
-  }
+  new OfflineManager();
 
   // Enhanced keyboard navigation
   document.addEventListener("keydown", (e) => {
@@ -595,31 +5161,46 @@ document.addEventListener("DOMContentLoaded", function () {
     document.body.classList.remove("keyboard-navigation");
   });
 
-  console.log("🔥 Ignitia theme initialized with light/dark mode support!");
-});
-
-// Handle theme-specific code highlighting
-window.addEventListener("themechange", (e) => {
-  const { theme } = e.detail;
-
-  // Update syntax highlighting if needed
-  const codeBlocks = document.querySelectorAll("pre code");
-  codeBlocks.forEach((block) => {
-    block.className = block.className.replace(/theme-\w+/g, `theme-${theme}`);
-  });
+  console.log("🔥 Ignitia theme initialized with theme picker support!");
 });
 
 // Export for external use
 window.IgnitiaTheme = {
-  setTheme: (theme) => {
-    const themeManager = new ThemeManager();
-    themeManager.setTheme(theme);
-  },
-  getTheme: () => {
-    return document.documentElement.getAttribute("data-theme");
+  getTheme: () => ThemeManager.getInstance().currentTheme,
+  getPreference: () => ThemeManager.getInstance().preference,
+  setTheme: (theme) => ThemeManager.getInstance().setTheme(theme),
+  toggleTheme: () => ThemeManager.getInstance().toggleTheme(),
+  getThemes: () =>
+    Array.from(ThemeManager.themes, ([name, { label, scheme }]) => ({
+      name,
+      label,
+      scheme,
+    })),
+  getCodeTheme: () => ThemeManager.getInstance().codeTheme,
+  setCodeTheme: (name) => ThemeManager.getInstance().setCodeTheme(name),
+  registerTheme: (name, vars, options) => {
+    ThemeManager.registerTheme(name, vars, options);
   },
-  toggleTheme: () => {
-    const themeManager = new ThemeManager();
-    themeManager.toggleTheme();
+  onChange: (callback) => ThemeManager.getInstance().onChange(callback),
+  off: (callback) => ThemeManager.getInstance().off(callback),
+};
+
+window.IgnitiaRouter = {
+  visit: (href) => {
+    if (PageRouter.instance) {
+      PageRouter.instance.visit(href);
+    } else {
+      window.location.assign(href);
+    }
   },
 };
+
+window.IgnitiaShortcuts = {
+  register: (id, options) =>
+    ShortcutManager.getInstance().register(id, options),
+  unregister: (id) => ShortcutManager.getInstance().unregister(id),
+  rebind: (id, keys) => ShortcutManager.getInstance().rebind(id, keys),
+  run: (id) => ShortcutManager.getInstance().run(id),
+  list: () => ShortcutManager.getInstance().list(),
+  showHelp: () => ShortcutManager.getInstance().openOverlay(),
+};
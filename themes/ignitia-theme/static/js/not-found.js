@@ -0,0 +1,244 @@
+// "Did you mean" for the 404 page: follows redirects.json for renamed pages,
+// then fuzzy-matches the requested path against the pages in the search index
+class NotFoundHelper {
+  constructor() {
+    this.config = window.IgnitiaConfig;
+    this.matches = document.getElementById("error-matches");
+    this.matchList = document.getElementById("error-match-list");
+    this.searchInput = document.getElementById("search-input");
+
+    // Auto-redirect only when one page clearly beats the rest
+    this.confidentScore = 0.8;
+    this.confidentMargin = 0.2;
+    this.minScore = 0.45;
+    this.limit = 5;
+
+    this.path = this.getRequestedPath();
+    if (this.path) this.init();
+  }
+
+  async init() {
+    const redirect = await this.findRedirect(this.path);
+    if (redirect && this.redirect(redirect)) return;
+
+    const words = this.tokenize(this.path);
+    if (words.length === 0) return;
+
+    const prefilled = this.searchInput && !this.searchInput.value;
+    if (prefilled) this.searchInput.value = words.join(" ");
+
+    const search = window.IgnitiaSearchEngine;
+    if (!search) return;
+
+    try {
+      await search.loadIndex();
+    } catch (error) {
+      console.error("Failed to load search index:", error);
+      return;
+    }
+
+    const ranked = this.rankPages(words, search.sections);
+    const [best, runnerUp] = ranked;
+
+    if (
+      best &&
+      best.score >= this.confidentScore &&
+      (!runnerUp || best.score - runnerUp.score >= this.confidentMargin)
+    ) {
+      this.redirect(this.config.link(best.section.url));
+      return;
+    }
+
+    const suggestions = ranked
+      .filter((match) => match.score >= this.minScore)
+      .slice(0, this.limit)
+      .map((match) => match.section);
+
+    // Fill up with full-text results for the words in the path
+    if (suggestions.length < this.limit) {
+      try {
+        const { results } = await search.search(words.join(" "), this.limit);
+        results.forEach(({ section }) => {
+          if (
+            suggestions.length < this.limit &&
+            !suggestions.some((page) => page.url === section.url)
+          ) {
+            suggestions.push(section);
+          }
+        });
+      } catch (error) {
+        console.error("Search error:", error);
+      }
+    }
+
+    this.renderSuggestions(search, suggestions);
+
+    // The search box only listens once the index has loaded
+    if (prefilled) {
+      this.searchInput.dispatchEvent(new Event("input", { bubbles: true }));
+    }
+  }
+
+  // The requested path relative to the site root, e.g. "docs/middlewares".
+  // Empty when the 404 page itself was requested.
+  getRequestedPath() {
+    const base = new URL(this.config.url()).pathname;
+    let path = window.location.pathname;
+
+    try {
+      path = decodeURIComponent(path);
+    } catch (error) {
+      // Keep the raw path
+    }
+
+    if (path.startsWith(base)) path = path.slice(base.length);
+    path = this.normalizePath(path);
+
+    return path === "404.html" ? "" : path;
+  }
+
+  normalizePath(path) {
+    return String(path)
+      .toLowerCase()
+      .replace(/(^|\/)index\.html?$/, "")
+      .replace(/^\/+|\/+$/g, "");
+  }
+
+  // redirects.json at the site root maps old paths to new ones, both relative
+  // to the root: { "docs/middlewares/": "docs/middleware/" }
+  async findRedirect(path) {
+    try {
+      const response = await fetch(this.config.url("redirects.json"), {
+        cache: "no-cache",
+      });
+      if (!response.ok) return null;
+
+      const redirects = await response.json();
+      const key = Object.keys(redirects).find(
+        (from) => this.normalizePath(from) === path,
+      );
+      return key ? redirects[key] : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Returns false for a redirect that points back at the missing page
+  redirect(target) {
+    const url = new URL(
+      /^[a-z]+:\/\//i.test(target) ? target : this.config.url(target),
+    );
+    if (url.pathname === window.location.pathname) return false;
+
+    if (!url.hash) url.hash = window.location.hash;
+    window.location.replace(url.href);
+    return true;
+  }
+
+  // Words of a path or title, without noise such as "docs" or "v0"
+  tokenize(text) {
+    const ignored = ["docs", "html", "htm", "index", "md"];
+    return String(text)
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(
+        (word) =>
+          word.length > 1 && !ignored.includes(word) && !/^v?\d+$/.test(word),
+      );
+  }
+
+  // Score every page by its slug and title against the requested words
+  rankPages(words, sections) {
+    const slug = words.join("-");
+
+    return sections
+      .filter((section) => section.isIntro)
+      .map((section) => {
+        const path = this.normalizePath(
+          new URL(this.config.link(section.url)).pathname.slice(
+            new URL(this.config.url()).pathname.length,
+          ),
+        );
+        const pageSlug = path.split("/").pop() || "";
+        const pageWords = this.tokenize(`${path} ${section.pageTitle}`);
+
+        // Every requested word should match some word of the page; the
+        // token score is discounted so only an exact slug scores 1
+        const tokenScore =
+          words.reduce(
+            (total, word) =>
+              total +
+              Math.max(
+                0,
+                ...pageWords.map((other) => this.similarity(word, other)),
+              ),
+            0,
+          ) / words.length;
+
+        const score = Math.max(
+          this.similarity(slug, pageSlug),
+          this.similarity(slug, this.tokenize(section.pageTitle).join("-")),
+          tokenScore * 0.9,
+        );
+
+        return { section, score };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // 1 for equal strings, 0 for nothing in common. Abbreviations such as
+  // "config" still count as a fair match.
+  similarity(a, b) {
+    const length = Math.max(a.length, b.length);
+    if (length === 0) return 0;
+
+    const score = 1 - this.levenshtein(a, b) / length;
+    return a.length >= 3 && b.startsWith(a) ? Math.max(score, 0.8) : score;
+  }
+
+  levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  renderSuggestions(search, sections) {
+    if (!this.matches || !this.matchList || sections.length === 0) return;
+
+    this.matchList.replaceChildren(
+      ...sections.map((section) => {
+        const item = document.createElement("li");
+        const link = document.createElement("a");
+        link.href = search.getSectionUrl(section);
+        link.textContent = search.getSectionLabel(section);
+        item.appendChild(link);
+        return item;
+      }),
+    );
+    this.matches.hidden = false;
+  }
+}
+
+// Initialize after search.js has created the shared search engine. PageRouter
+// falls back to a full load for error responses, so this page never arrives
+// through a content swap.
+if (typeof module !== "undefined" && module.exports) {
+  // Required by the tests
+  module.exports = NotFoundHelper;
+} else if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", () => new NotFoundHelper());
+} else {
+  new NotFoundHelper();
+}
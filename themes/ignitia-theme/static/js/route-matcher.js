@@ -0,0 +1,179 @@
+// Route matching as described in the Routing Guide, for the route playground.
+// Patterns use Ignitia's syntax: static segments, `{name}` parameters that
+// match one segment and a trailing `{*name}` wildcard that matches the rest.
+// The `:name` and `*name` shorthands are accepted too.
+//
+// Like the radix tree, routes that share a prefix are tried static segment
+// first, then parameter, then wildcard, so `/users/profile` wins over
+// `/users/{id}`, which wins over `/users/{*rest}`.
+class RouteMatcher {
+  constructor(patterns = []) {
+    this.routes = [];
+    this.errors = [];
+    patterns.forEach((pattern) => this.add(pattern));
+  }
+
+  // Invalid and conflicting patterns are collected in `errors` instead of
+  // throwing, so one typo doesn't hide the other routes
+  add(pattern) {
+    let route;
+    try {
+      route = RouteMatcher.parse(pattern);
+    } catch (error) {
+      this.errors.push({ pattern, message: error.message });
+      return null;
+    }
+
+    const conflict = this.routes.find((other) => other.shape === route.shape);
+    if (conflict) {
+      this.errors.push({
+        pattern: route.pattern,
+        message: `Conflicts with ${conflict.pattern}`,
+      });
+      return null;
+    }
+
+    route.index = this.routes.length;
+    this.routes.push(route);
+    return route;
+  }
+
+  // Routes in the order they are tried. This is a walk of the tree: at each
+  // node the static children come first, in the order they were added, then
+  // the parameter, then the wildcard.
+  get ordered() {
+    const rank = { static: 0, param: 1, wildcard: 2 };
+    const firstSeen = new Map();
+    const keys = new Map(
+      this.routes.map((route) => {
+        let prefix = "";
+        const key = route.segments.map((segment) => {
+          prefix += segment.shape;
+          if (!firstSeen.has(prefix)) firstSeen.set(prefix, route.index);
+          return [rank[segment.type], firstSeen.get(prefix)];
+        });
+        return [route, key];
+      }),
+    );
+
+    return [...this.routes].sort((a, b) =>
+      RouteMatcher.compareKeys(keys.get(a), keys.get(b)),
+    );
+  }
+
+  // Resolves to { route, params } for the first matching route, or null.
+  // The query string and fragment are ignored.
+  match(path) {
+    const segments = String(path).split(/[?#]/)[0].split("/").slice(1);
+
+    for (const route of this.ordered) {
+      const params = RouteMatcher.matchSegments(route.segments, segments);
+      if (params) return { route, params };
+    }
+    return null;
+  }
+
+  static parse(input) {
+    const pattern = String(input).trim();
+    if (!pattern.startsWith("/")) {
+      throw new Error("Routes must start with /");
+    }
+
+    const names = new Set();
+    const segments = pattern
+      .split("/")
+      .slice(1)
+      .map((segment) => {
+        const shorthand = segment.match(/^([:*])(.*)$/);
+        const braced = segment.match(/^\{(\*?)(.*)\}$/);
+        const [, marker, name] = shorthand || braced || [];
+
+        if (!shorthand && !braced) {
+          if (/[{}]/.test(segment)) {
+            throw new Error("A parameter must be a whole path segment");
+          }
+          return { type: "static", value: segment, shape: `/${segment}` };
+        }
+
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+          throw new Error(`Invalid parameter name "${name}"`);
+        }
+        if (names.has(name)) {
+          throw new Error(`Duplicate parameter "${name}"`);
+        }
+        names.add(name);
+
+        return marker === "*"
+          ? { type: "wildcard", name, shape: "/{*}" }
+          : { type: "param", name, shape: "/{}" };
+      });
+
+    if (segments.slice(0, -1).some((segment) => segment.type === "wildcard")) {
+      throw new Error("A wildcard must be the last segment");
+    }
+
+    const types = segments.map((segment) => segment.type);
+    const kind = types.includes("wildcard")
+      ? "wildcard"
+      : types.includes("param")
+        ? "param"
+        : "static";
+
+    return {
+      pattern,
+      segments,
+      kind,
+      // Routes with the same shape can never both be reached
+      shape: segments.map((segment) => segment.shape).join(""),
+    };
+  }
+
+  // Compare [rank, order] pairs segment by segment; a route ending at a
+  // node comes before the routes below it
+  static compareKeys(a, b) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const difference = a[i][0] - b[i][0] || a[i][1] - b[i][1];
+      if (difference) return difference;
+    }
+    return a.length - b.length;
+  }
+
+  static matchSegments(pattern, segments) {
+    const params = {};
+
+    for (let i = 0; i < pattern.length; i++) {
+      const segment = pattern[i];
+
+      if (segment.type === "wildcard") {
+        const rest = segments.slice(i).join("/");
+        if (!rest) return null;
+        params[segment.name] = RouteMatcher.decode(rest);
+        return params;
+      }
+
+      if (i >= segments.length) return null;
+
+      if (segment.type === "param") {
+        if (!segments[i]) return null;
+        params[segment.name] = RouteMatcher.decode(segments[i]);
+      } else if (segment.value !== segments[i]) {
+        return null;
+      }
+    }
+
+    return pattern.length === segments.length ? params : null;
+  }
+
+  static decode(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      return value;
+    }
+  }
+}
+
+// Loaded as a plain script by the playground and required by the tests
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = RouteMatcher;
+}
@@ -0,0 +1,393 @@
+// Search worker for Ignitia docs
+// Loads, deserializes and queries the search index off the main thread.
+// Messages: { id, type, payload } in, { id, result } or { id, error } out.
+importScripts("https://unpkg.com/elasticlunr@0.9.5/elasticlunr.min.js");
+
+class SearchIndexWorker {
+  constructor() {
+    this.pageIndex = null;
+    this.sectionIndex = null;
+    this.sections = new Map();
+    this.sectionTokens = new Map();
+    this.vocabulary = new Map();
+
+    // Used for both indexing and queries
+    const tokenizer = (input) => this.tokenize(input);
+    Object.assign(tokenizer, elasticlunr.tokenizer);
+    elasticlunr.tokenizer = tokenizer;
+
+    self.addEventListener("message", (e) => this.handleMessage(e));
+  }
+
+  async handleMessage(event) {
+    const { id, type, payload } = event.data;
+
+    try {
+      let result;
+      switch (type) {
+        case "init":
+          result = await this.init(payload);
+          break;
+
+        case "search":
+          result = this.search(payload.query, payload.limit);
+          break;
+
+        default:
+          throw new Error(`Unknown search request: ${type}`);
+      }
+
+      self.postMessage({ id, result });
+    } catch (error) {
+      self.postMessage({ id, error: error.message });
+    }
+  }
+
+  async init({ indexUrl, sectionsUrl }) {
+    // The Zola index assigns itself to window.searchIndex
+    self.window = self;
+    importScripts(indexUrl);
+
+    // Without the heading outline every page is a single result, but search
+    // still works
+    const outline = await this.loadOutline(sectionsUrl);
+
+    // Deserialize the prebuilt page index instead of re-adding every page
+    this.pageIndex = elasticlunr.Index.load(self.searchIndex);
+    const documents = Object.values(this.pageIndex.documentStore.docs);
+
+    // Zola can't prebuild heading-level entries, so index those here
+    this.sectionIndex = elasticlunr(function () {
+      this.addField("title");
+      this.addField("page");
+      this.addField("body");
+      this.addField("description");
+      this.setRef("id");
+      this.saveDocument(false);
+    });
+
+    documents.forEach((doc) => {
+      this.splitSections(doc, outline[doc.id] || []).forEach((section) => {
+        this.sections.set(section.id, section);
+        this.addToVocabulary(`${section.title} ${section.body}`);
+        this.sectionIndex.addDoc({
+          id: section.id,
+          title: section.title,
+          page: section.pageTitle,
+          body: section.body,
+          description: section.description,
+        });
+      });
+    });
+
+    // Everything but the body, for title matching on the main thread
+    return {
+      sections: Array.from(this.sections.values(), ({ body, ...rest }) => rest),
+    };
+  }
+
+  async loadOutline(url) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+      return await response.json();
+    } catch (error) {
+      console.error("Failed to load the heading outline:", error);
+      return {};
+    }
+  }
+
+  // Split on whitespace like elasticlunr, then also break Rust identifiers
+  // (snake_case, CamelCase, ignitia::Router, Json<T>) into sub-tokens while
+  // keeping the full identifier: `IntoResponse` -> intoresponse, into, response
+  tokenize(input) {
+    if (input === null || input === undefined) return [];
+    if (Array.isArray(input)) {
+      return input.flatMap((item) => this.tokenize(item));
+    }
+
+    const tokens = [];
+
+    String(input)
+      .split(/[\s\-]+/)
+      .forEach((word) => {
+        const trimmed = word.replace(/^\W+|\W+$/g, "");
+        if (!trimmed) return;
+
+        tokens.push(trimmed.toLowerCase());
+
+        const parts = trimmed
+          .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+          .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+          .split(/[^A-Za-z0-9]+/)
+          .filter(Boolean);
+
+        if (parts.length > 1) {
+          parts.forEach((part) => tokens.push(part.toLowerCase()));
+        }
+      });
+
+    return tokens;
+  }
+
+  addToVocabulary(text) {
+    this.tokenize(text).forEach((token) => {
+      if (token.length > 2 && /^[a-z0-9_:]+$/.test(token)) {
+        this.vocabulary.set(token, (this.vocabulary.get(token) || 0) + 1);
+      }
+    });
+  }
+
+  // Map each unknown query word to the most frequent vocabulary word within
+  // a small edit distance: { middlware: "middleware" }
+  findCorrections(query) {
+    const corrections = {};
+
+    [...query.terms, ...query.titleTerms].forEach((term) => {
+      const word = term.toLowerCase();
+      if (word.length < 4 || this.vocabulary.has(word)) return;
+      if (elasticlunr.stopWordFilter(word) === undefined) return;
+
+      const maxDistance = word.length > 7 ? 2 : 1;
+      let best = null;
+
+      this.vocabulary.forEach((count, candidate) => {
+        if (Math.abs(candidate.length - word.length) > maxDistance) return;
+
+        const distance = this.editDistance(word, candidate, maxDistance);
+        if (
+          distance <= maxDistance &&
+          (!best ||
+            distance < best.distance ||
+            (distance === best.distance && count > best.count))
+        ) {
+          best = { word: candidate, distance, count };
+        }
+      });
+
+      if (best) corrections[term] = best.word;
+    });
+
+    return corrections;
+  }
+
+  // Optimal string alignment distance (Levenshtein plus transpositions),
+  // giving up early once every path exceeds `max`
+  editDistance(a, b, max) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    let beforePrevious = null;
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + cost,
+        );
+
+        if (
+          beforePrevious &&
+          i > 1 &&
+          j > 1 &&
+          a[i - 1] === b[j - 2] &&
+          a[i - 2] === b[j - 1]
+        ) {
+          value = Math.min(value, beforePrevious[j - 2] + 1);
+        }
+
+        current.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+
+      if (rowMin > max) return max + 1;
+      beforePrevious = previous;
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  // The index body is the page text with headings inlined, so walk the
+  // outline in document order and cut the body at each heading title
+  splitSections(doc, headings) {
+    const body = doc.body || "";
+    const sections = [];
+    let current = { anchor: "", title: doc.title, start: 0 };
+    let cursor = 0;
+
+    headings.forEach((heading, index) => {
+      const at = body.indexOf(heading.title, cursor);
+      if (at === -1) return;
+
+      cursor = at + heading.title.length;
+
+      // A leading h1 is the page title; keep it in the intro section
+      if (index === 0 && heading.level === 1) {
+        current = { anchor: heading.id, title: doc.title, start: cursor };
+        return;
+      }
+
+      sections.push({ ...current, end: at });
+      current = { anchor: heading.id, title: heading.title, start: cursor };
+    });
+    sections.push({ ...current, end: body.length });
+
+    return sections.map((section, index) => ({
+      id: section.anchor ? `${doc.id}#${section.anchor}` : doc.id,
+      url: doc.id,
+      anchor: section.anchor,
+      title: section.title,
+      pageTitle: doc.title,
+      isIntro: index === 0,
+      body: body.slice(section.start, section.end).trim(),
+      description: index === 0 ? doc.description || "" : "",
+    }));
+  }
+
+  // `query` is the structure built by IgnitiaSearch.parseQuery().
+  // Resolves to { results, corrections }; corrections are offered when a
+  // word is unknown to the docs.
+  search(query, limit = 8) {
+    const results = this.rankSections(query)
+      .filter((result) => this.matchesFilters(result.section, query))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    return { results, corrections: this.findCorrections(query) };
+  }
+
+  rankSections(query) {
+    if (!this.sectionIndex) {
+      throw new Error("Search index is not loaded");
+    }
+
+    const text = [...query.terms, ...query.phrases].join(" ");
+    const titleText = [...query.titleTerms, ...query.titlePhrases].join(" ");
+    let scores = null;
+
+    if (text) {
+      scores = this.querySections(text, query.bool, {
+        title: { boost: 3 },
+        page: { boost: 1.5 },
+        description: { boost: 2 },
+        body: { boost: 1 },
+      });
+    }
+
+    if (titleText) {
+      const titleScores = this.querySections(titleText, query.bool, {
+        title: { boost: 3 },
+        page: { boost: 1 },
+      });
+      scores = scores
+        ? this.combineScores(scores, titleScores, query.bool)
+        : titleScores;
+    }
+
+    // Filter-only queries such as `section:docs` or `-deprecated` list the
+    // pages that pass the filters
+    if (!scores) {
+      if (query.sections.length === 0 && query.excludes.length === 0) {
+        return [];
+      }
+      return Array.from(this.sections.values())
+        .filter((section) => section.isIntro)
+        .map((section) => ({ ref: section.id, score: 0, section }));
+    }
+
+    return Array.from(scores, ([ref, score]) => ({
+      ref,
+      score,
+      section: this.sections.get(ref),
+    }));
+  }
+
+  // Returns Map(ref => score). Sections of pages whose title or description
+  // match get a lift.
+  querySections(text, bool, fields) {
+    const pageScores = new Map(
+      this.pageIndex
+        .search(text, {
+          fields: {
+            title: { boost: 2 },
+            description: { boost: 1 },
+          },
+          bool,
+          expand: true,
+        })
+        .map((result) => [result.ref, result.score]),
+    );
+
+    return new Map(
+      this.sectionIndex
+        .search(text, { fields, bool, expand: true })
+        .map((result) => {
+          const section = this.sections.get(result.ref);
+          return [
+            result.ref,
+            result.score + (pageScores.get(section.url) || 0) * 0.5,
+          ];
+        }),
+    );
+  }
+
+  combineScores(a, b, bool) {
+    const combined = new Map();
+
+    a.forEach((score, ref) => {
+      if (bool === "OR" || b.has(ref)) {
+        combined.set(ref, score + (b.get(ref) || 0));
+      }
+    });
+
+    if (bool === "OR") {
+      b.forEach((score, ref) => {
+        if (!combined.has(ref)) combined.set(ref, score);
+      });
+    }
+
+    return combined;
+  }
+
+  // Phrases, exclusions and section filters can't be expressed as
+  // elasticlunr configs, so check them against the section text
+  matchesFilters(section, query) {
+    const normalize = (value) => value.toLowerCase().replace(/\s+/g, " ");
+    const title = normalize(`${section.pageTitle} ${section.title}`);
+    const text = `${title} ${normalize(section.body)}`;
+    const path = new URL(section.url).pathname;
+
+    return (
+      query.phrases.every((phrase) => text.includes(normalize(phrase))) &&
+      query.titlePhrases.every((phrase) => title.includes(normalize(phrase))) &&
+      query.excludes.every((term) => !this.containsTerm(section, term)) &&
+      (query.sections.length === 0 ||
+        query.sections.some((name) => path.includes(`/${name}/`)))
+    );
+  }
+
+  // Whole-token match with the index tokenizer, so `-log` doesn't exclude
+  // "logger" and `-get` doesn't exclude "target"
+  containsTerm(section, term) {
+    if (!this.sectionTokens.has(section.id)) {
+      this.sectionTokens.set(
+        section.id,
+        new Set(
+          this.tokenize([section.pageTitle, section.title, section.body]),
+        ),
+      );
+    }
+
+    const tokens = this.sectionTokens.get(section.id);
+    const termTokens = this.tokenize(term);
+    return (
+      termTokens.length > 0 && termTokens.every((token) => tokens.has(token))
+    );
+  }
+}
+
+new SearchIndexWorker();
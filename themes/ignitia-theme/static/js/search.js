@@ -1,10 +1,37 @@
 // Search functionality for Ignitia docs
 class IgnitiaSearch {
   constructor() {
+    this.searchInput = null;
+    this.searchResults = null;
+    this.worker = null;
+    this.sections = [];
+    this.sectionMap = new Map();
+    this.isReady = false;
+    this.indexPromise = null;
+
+    // Hide results when clicking outside
+    document.addEventListener("click", (e) => {
+      if (
+        this.searchInput &&
+        !this.searchInput.contains(e.target) &&
+        !this.searchResults.contains(e.target)
+      ) {
+        this.hideResults();
+      }
+    });
+
+    this.attach();
+
+    // Pages loaded by PageRouter bring their own search box; the index
+    // stays loaded
+    window.addEventListener("pagechange", () => this.attach());
+  }
+
+  attach() {
     this.searchInput = document.getElementById("search-input");
     this.searchResults = document.getElementById("search-results");
-    this.searchIndex = null;
-    this.documents = [];
+
+    this.highlightFromUrl();
 
     if (this.searchInput && this.searchResults) {
       this.init();
@@ -12,41 +39,62 @@ class IgnitiaSearch {
   }
 
   async init() {
+    const input = this.searchInput;
+    this.setLoading(true);
+
     try {
-      // Load search index
-      const response = await fetch("/search_index.en.js");
-      const searchScript = await response.text();
-
-      // Execute the search index script
-      const func = new Function(searchScript);
-      func();
-
-      // Get the search index from window
-      this.searchIndex = window.searchIndex;
-      this.documents = Object.values(this.searchIndex.documentStore.docs);
-
-      // Initialize elasticlunr
-      this.lunrIndex = elasticlunr(function () {
-        this.addField("title");
-        this.addField("body");
-        this.addField("description");
-        this.setRef("id");
-      });
+      await this.loadIndex();
+      // Another page may have replaced the search box meanwhile
+      if (input === this.searchInput) this.setupEventListeners();
+    } catch (error) {
+      console.error("Failed to load search index:", error);
+    } finally {
+      this.setLoading(false);
+    }
+  }
 
-      // Add documents to lunr index
-      this.documents.forEach((doc) => {
-        this.lunrIndex.addDoc({
-          id: doc.id,
-          title: doc.title,
-          body: doc.body,
-          description: doc.description || "",
-        });
+  // Load the index once and share it between the inline search box and the
+  // command palette
+  loadIndex() {
+    if (!this.indexPromise) {
+      this.indexPromise = this.startWorker().catch((error) => {
+        this.indexPromise = null;
+        throw error;
       });
+    }
+    return this.indexPromise;
+  }
 
-      this.setupEventListeners();
-    } catch (error) {
-      console.error("Failed to load search index:", error);
+  // Fetching, deserializing and querying the index all happen in the worker
+  async startWorker() {
+    const config = window.IgnitiaConfig;
+
+    if (!this.worker) {
+      this.worker = new SearchWorkerClient(config.url("js/search-worker.js"));
+    }
+
+    const { sections } = await this.worker.request("init", {
+      indexUrl: config.url(`search_index.${config.lang}.js`),
+      sectionsUrl: config.url("search-sections/"),
+    });
+
+    this.sections = sections;
+    this.sectionMap = new Map(sections.map((section) => [section.id, section]));
+    this.isReady = true;
+  }
+
+  setLoading(loading) {
+    if (!this.searchInput) return;
+
+    if (loading) {
+      this.searchInput.dataset.placeholder = this.searchInput.placeholder;
+      this.searchInput.placeholder = "Loading search index...";
+    } else if (this.searchInput.dataset.placeholder) {
+      this.searchInput.placeholder = this.searchInput.dataset.placeholder;
     }
+
+    this.searchInput.setAttribute("aria-busy", loading);
+    this.searchInput.parentElement.classList.toggle("loading", loading);
   }
 
   setupEventListeners() {
@@ -56,16 +104,6 @@ class IgnitiaSearch {
     );
     this.searchInput.addEventListener("focus", this.handleFocus.bind(this));
 
-    // Hide results when clicking outside
-    document.addEventListener("click", (e) => {
-      if (
-        !this.searchInput.contains(e.target) &&
-        !this.searchResults.contains(e.target)
-      ) {
-        this.hideResults();
-      }
-    });
-
     // Handle keyboard navigation
     this.searchInput.addEventListener(
       "keydown",
@@ -91,75 +129,206 @@ class IgnitiaSearch {
     }
   }
 
-  performSearch(query) {
+  // Query the index in the worker; shared by the inline search box and the
+  // command palette. Resolves to [{ ref, score, section }].
+  async search(query, limit = 8) {
+    await this.loadIndex();
+    return this.worker.request("search", {
+      query: this.parseQuery(query),
+      limit,
+    });
+  }
+
+  // Query syntax: "quoted phrases", title:word, section:docs, -exclude and
+  // AND/OR between terms. Phrases and filters are applied by the worker
+  // after elasticlunr has ranked the candidates.
+  parseQuery(input) {
+    const query = {
+      terms: [],
+      phrases: [],
+      titleTerms: [],
+      titlePhrases: [],
+      excludes: [],
+      sections: [],
+      bool: "OR",
+    };
+    const pattern = /(-)?(?:(title|section):)?(?:"([^"]*)"?|(\S+))/gi;
+    let match;
+
+    while ((match = pattern.exec(input)) !== null) {
+      const [, negate, field, phrase, word] = match;
+      const quoted = phrase !== undefined;
+      const value = (quoted ? phrase : word).trim();
+      if (!value) continue;
+
+      if (!negate && !field && !quoted && (value === "AND" || value === "OR")) {
+        query.bool = value;
+      } else if (negate) {
+        query.excludes.push(value.toLowerCase());
+      } else if (field && field.toLowerCase() === "section") {
+        query.sections.push(value.toLowerCase());
+      } else if (field) {
+        (quoted ? query.titlePhrases : query.titleTerms).push(value);
+      } else {
+        (quoted ? query.phrases : query.terms).push(value);
+      }
+    }
+
+    return query;
+  }
+
+  // Words and phrases worth highlighting (no operators, filters or exclusions)
+  getHighlightTerms(input) {
+    const query = this.parseQuery(input || "");
+    return [
+      ...query.phrases,
+      ...query.titlePhrases,
+      ...query.terms,
+      ...query.titleTerms,
+    ].filter((term) => term.length > 1);
+  }
+
+  getDocument(ref) {
+    return this.sectionMap.get(ref);
+  }
+
+  // "Routing Guide › Route Matching Priority"
+  getSectionLabel(section) {
+    return section.isIntro
+      ? section.pageTitle
+      : `${section.pageTitle} › ${section.title}`;
+  }
+
+  // Link to the heading anchor, carrying the query so the landing page can
+  // highlight the match
+  getSectionUrl(section, query) {
+    const highlight = query ? `?highlight=${encodeURIComponent(query)}` : "";
+    const hash = section.anchor ? `#${section.anchor}` : "";
+    return `${window.IgnitiaConfig.link(section.url)}${highlight}${hash}`;
+  }
+
+  async performSearch(query) {
+    const requestId = (this.searchRequestId = (this.searchRequestId || 0) + 1);
+
     try {
-      const results = this.lunrIndex.search(query, {
-        fields: {
-          title: { boost: 3 },
-          description: { boost: 2 },
-          body: { boost: 1 },
-        },
-        expand: true,
-      });
+      // Limit to 8 results
+      const { results, corrections } = await this.search(query, 8);
+
+      // Ignore responses that arrive after a newer query was sent
+      if (requestId !== this.searchRequestId) return;
 
-      this.displayResults(results.slice(0, 8)); // Limit to 8 results
+      this.displayResults(results, this.applyCorrections(query, corrections));
     } catch (error) {
       console.error("Search error:", error);
       this.hideResults();
     }
   }
 
-  displayResults(results) {
+  displayResults(results, suggestion) {
+    const suggestionHtml = suggestion
+      ? `<div class="search-suggestion">Did you mean <a href="#" data-suggestion="${this.escapeAttribute(suggestion)}">${this.escapeAttribute(suggestion)}</a>?</div>`
+      : "";
+
     if (results.length === 0) {
       this.searchResults.innerHTML =
-        '<div class="search-result no-results">No results found</div>';
+        suggestionHtml +
+        '<div class="search-result no-results">No results found</div>' +
+        this.getSyntaxHint();
       this.searchResults.classList.add("active");
+      this.bindSuggestion();
       return;
     }
 
     const html = results
       .map((result, index) => {
-        const doc = this.documents.find((d) => d.id === result.ref);
-        if (!doc) return "";
-
-        const snippet = this.createSnippet(
-          doc.body,
-          this.searchInput.value,
-          120,
-        );
+        const { section } = result;
+        const query = this.searchInput.value;
+        const snippet = this.createSnippet(section.body, query, 120);
+        const url = this.getSectionUrl(section, query);
 
         return `
-                  <div class="search-result" data-index="${index}" data-url="${doc.id}">
-                      <div class="result-title">${this.highlightText(doc.title, this.searchInput.value)}</div>
+                  <div class="search-result" data-index="${index}" data-url="${url}">
+                      <div class="result-title">${this.highlightText(this.escapeAttribute(this.getSectionLabel(section)), query)}</div>
                       <div class="result-snippet">${snippet}</div>
                   </div>
               `;
       })
       .join("");
 
-    this.searchResults.innerHTML = html;
+    this.searchResults.innerHTML = suggestionHtml + html + this.getSyntaxHint();
     this.searchResults.classList.add("active");
+    this.bindSuggestion();
 
     // Add click handlers
     this.searchResults.querySelectorAll(".search-result").forEach((result) => {
       result.addEventListener("click", () => {
         const url = result.dataset.url;
         if (url) {
-          window.location.href = url;
+          window.IgnitiaRouter.visit(url);
         }
       });
     });
   }
 
+  bindSuggestion() {
+    const link = this.searchResults.querySelector("[data-suggestion]");
+    if (!link) return;
+
+    link.addEventListener("click", (e) => {
+      e.preventDefault();
+      this.searchInput.value = link.dataset.suggestion;
+      this.searchInput.focus();
+      this.performSearch(link.dataset.suggestion);
+    });
+  }
+
+  // Rewrite the typed query with the worker's spelling corrections, or
+  // return null when there is nothing to suggest
+  applyCorrections(query, corrections) {
+    const words = Object.keys(corrections || {});
+    if (words.length === 0) return null;
+
+    return words.reduce(
+      (text, word) =>
+        text.replace(
+          new RegExp(
+            `(^|[\\s"(:-])${this.escapeRegExp(word)}(?=$|[\\s")])`,
+            "g",
+          ),
+          `$1${corrections[word]}`,
+        ),
+      query,
+    );
+  }
+
+  escapeAttribute(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/"/g, "&quot;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
+  }
+
+  getSyntaxHint() {
+    return `
+      <div class="search-hint">
+          <code>"exact phrase"</code> <code>title:router</code>
+          <code>section:docs</code> <code>-exclude</code> <code>AND</code>/<code>OR</code>
+      </div>
+    `;
+  }
+
   createSnippet(text, query, maxLength) {
     if (!text) return "";
 
     const lowerText = text.toLowerCase();
-    const lowerQuery = query.toLowerCase();
-    const index = lowerText.indexOf(lowerQuery);
+    const term = this.getHighlightTerms(query)
+      .map((term) => term.toLowerCase())
+      .find((term) => lowerText.includes(term));
+    const index = term ? lowerText.indexOf(term) : -1;
 
     if (index === -1) {
-      return text.substring(0, maxLength) + "...";
+      return this.escapeAttribute(text.substring(0, maxLength)) + "...";
     }
 
     const start = Math.max(0, index - 40);
@@ -168,16 +337,101 @@ class IgnitiaSearch {
 
     return (
       (start > 0 ? "..." : "") +
-      this.highlightText(snippet, query) +
+      this.highlightText(this.escapeAttribute(snippet), query) +
       (end < text.length ? "..." : "")
     );
   }
 
-  highlightText(text, query) {
-    if (!query || !text) return text;
+  // Mark the query in already escaped HTML
+  highlightText(html, query) {
+    const regex = this.getHighlightRegExp(query, { html: true });
+    if (!regex || !html) return html;
+
+    return html.replace(regex, (match, term) =>
+      term ? `<mark>${term}</mark>` : match,
+    );
+  }
+
+  // Match any phrase or word of the query. In HTML, entities such as &lt;
+  // match as a whole so that a term can't split them.
+  getHighlightRegExp(query, { html = false } = {}) {
+    const terms = this.getHighlightTerms(query)
+      .map((term) => (html ? this.escapeAttribute(term) : term))
+      .sort((a, b) => b.length - a.length)
+      .map((term) => this.escapeRegExp(term));
+    if (terms.length === 0) return null;
+
+    const pattern = `(${[...new Set(terms)].join("|")})`;
+    return new RegExp(html ? `${pattern}|&#?\\w+;` : pattern, "gi");
+  }
+
+  // After landing from a search result, mark the query inside the targeted
+  // section (from its heading up to the next heading)
+  highlightFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const query = params.get("highlight");
+    const prose = document.querySelector(".prose");
+    if (!query || !prose) return;
+
+    // Drop the parameter so shared URLs stay clean
+    params.delete("highlight");
+    const search = params.toString();
+    history.replaceState(
+      history.state,
+      "",
+      `${window.location.pathname}${search ? `?${search}` : ""}${window.location.hash}`,
+    );
+
+    const regex = this.getHighlightRegExp(query);
+    if (!regex) return;
+
+    const headings = Array.from(
+      prose.querySelectorAll("h1[id], h2[id], h3[id]"),
+    );
+    const id = decodeURIComponent(window.location.hash.slice(1));
+    const start = id ? document.getElementById(id) : null;
+    const next = start
+      ? headings.find(
+          (heading) =>
+            start.compareDocumentPosition(heading) &
+            Node.DOCUMENT_POSITION_FOLLOWING,
+        )
+      : headings.find((heading) => heading.tagName !== "H1");
+
+    const walker = document.createTreeWalker(prose, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      const afterStart =
+        !start ||
+        start.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING;
+      const beforeNext =
+        !next ||
+        next.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_PRECEDING;
+
+      if (afterStart && beforeNext && !node.parentElement.closest("mark")) {
+        textNodes.push(node);
+      }
+    }
 
-    const regex = new RegExp(`(${this.escapeRegExp(query)})`, "gi");
-    return text.replace(regex, "<mark>$1</mark>");
+    textNodes.forEach((node) => {
+      regex.lastIndex = 0;
+      if (!regex.test(node.textContent)) return;
+
+      const fragment = document.createDocumentFragment();
+      node.textContent.split(regex).forEach((part, index) => {
+        if (!part) return;
+        if (index % 2 === 1) {
+          const mark = document.createElement("mark");
+          mark.className = "search-highlight";
+          mark.textContent = part;
+          fragment.appendChild(mark);
+        } else {
+          fragment.appendChild(document.createTextNode(part));
+        }
+      });
+      node.parentNode.replaceChild(fragment, node);
+    });
   }
 
   escapeRegExp(string) {
@@ -214,7 +468,7 @@ class IgnitiaSearch {
         if (current) {
           const url = current.dataset.url;
           if (url) {
-            window.location.href = url;
+            window.IgnitiaRouter.visit(url);
           }
         }
         break;
@@ -246,6 +500,465 @@ class IgnitiaSearch {
   }
 }
 
+// Promise-based wrapper around the search worker
+class SearchWorkerClient {
+  constructor(url) {
+    this.worker = new Worker(url);
+    this.nextId = 0;
+    this.pending = new Map();
+
+    this.worker.addEventListener("message", (e) => this.handleMessage(e));
+    this.worker.addEventListener("error", (e) => {
+      this.rejectAll(new Error(e.message || "Search worker failed"));
+    });
+  }
+
+  request(type, payload) {
+    const id = ++this.nextId;
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, type, payload });
+    });
+  }
+
+  handleMessage(event) {
+    const { id, result, error } = event.data;
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    this.pending.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  }
+
+  rejectAll(error) {
+    this.pending.forEach((request) => request.reject(error));
+    this.pending.clear();
+  }
+}
+
+// Command Palette (Ctrl/Cmd + K)
+class CommandPalette {
+  constructor(search) {
+    this.search = search;
+    this.palette = document.getElementById("command-palette");
+    this.input = document.getElementById("command-palette-input");
+    this.list = document.getElementById("command-palette-list");
+    this.trigger = document.getElementById("palette-trigger");
+    this.items = [];
+    this.selectedIndex = 0;
+    this.previousFocus = null;
+    this.storageKey = "ignitia-recent-searches";
+    this.maxRecent = 5;
+
+    if (this.palette && this.input && this.list) {
+      this.init();
+    }
+  }
+
+  init() {
+    this.actions = [
+      {
+        title: "Toggle theme",
+        subtitle: "Switch a dark theme to Light, any other to Dark",
+        icon: "🌓",
+        run: () => window.IgnitiaTheme && window.IgnitiaTheme.toggleTheme(),
+      },
+      {
+        title: "Keyboard shortcuts",
+        subtitle: "List every shortcut on this page",
+        icon: "⌨️",
+        run: () => window.IgnitiaShortcuts.showHelp(),
+      },
+      {
+        title: "Go to changelog",
+        subtitle: "See what changed in each release",
+        icon: "📜",
+        url: this.palette.dataset.changelogUrl,
+      },
+      {
+        title: "Open on GitHub",
+        subtitle: "Browse the Ignitia source code",
+        icon: "🐙",
+        url: this.palette.dataset.githubUrl,
+        external: true,
+      },
+    ];
+
+    this.input.addEventListener(
+      "input",
+      this.search.debounce(() => this.update(), 150),
+    );
+    this.input.addEventListener("keydown", (e) => this.handleKeyboard(e));
+
+    this.palette.addEventListener("click", (e) => {
+      if (e.target.closest("[data-palette-close]")) {
+        this.close();
+        return;
+      }
+
+      const item = e.target.closest(".palette-item");
+      if (item) {
+        this.execute(parseInt(item.dataset.index));
+      }
+    });
+
+    if (this.trigger) {
+      this.trigger.addEventListener("click", () => this.open());
+
+      const shortcut = this.trigger.querySelector("kbd");
+      if (shortcut && /Mac|iPhone|iPad/.test(navigator.platform)) {
+        shortcut.textContent = "⌘K";
+      }
+    }
+
+    // Works anywhere, including inside the palette's own input
+    window.IgnitiaShortcuts.register("palette", {
+      keys: "mod+k",
+      description: "Open command palette",
+      global: true,
+      run: () => (this.isOpen() ? this.close() : this.open()),
+    });
+  }
+
+  isOpen() {
+    return !this.palette.hidden;
+  }
+
+  open() {
+    this.previousFocus = document.activeElement;
+    this.palette.hidden = false;
+    document.body.classList.add("palette-open");
+    this.input.value = "";
+    this.update();
+    this.input.focus();
+
+    // Load the index in the background; results refresh once it is ready
+    this.search
+      .loadIndex()
+      .then(() => {
+        if (this.isOpen() && this.input.value.trim()) this.update();
+      })
+      .catch((error) => console.error("Failed to load search index:", error));
+  }
+
+  close() {
+    this.palette.hidden = true;
+    document.body.classList.remove("palette-open");
+
+    if (this.previousFocus && this.previousFocus.focus) {
+      this.previousFocus.focus();
+    }
+  }
+
+  async update() {
+    const query = this.input.value.trim();
+    const requestId = (this.requestId = (this.requestId || 0) + 1);
+    const items = query ? await this.getResults(query) : this.getDefaultItems();
+
+    // A newer keystroke already rendered its own results
+    if (requestId !== this.requestId) return;
+
+    this.items = items;
+    this.selectedIndex = 0;
+    this.render(query);
+  }
+
+  getDefaultItems() {
+    const recent = this.getRecentSearches().map((term) => ({
+      group: "Recent searches",
+      title: term,
+      icon: "🕘",
+      query: term,
+      refine: true,
+    }));
+
+    const actions = this.getActions().map((action) => ({
+      ...action,
+      group: "Actions",
+    }));
+
+    return [...recent, ...actions];
+  }
+
+  // The fixed actions plus a "Theme: …" entry per theme, read each time so
+  // registered themes show up
+  getActions() {
+    const theme = window.IgnitiaTheme;
+    if (!theme) return this.actions;
+
+    const themes = [
+      { name: "auto", label: "Auto", subtitle: "Follow the system setting" },
+      ...theme.getThemes().map(({ name, label }) => ({
+        name,
+        label,
+        subtitle: `Use the ${label} theme`,
+      })),
+    ].map(({ name, label, subtitle }) => ({
+      title: `Theme: ${label}`,
+      subtitle,
+      icon: "🎨",
+      run: () => theme.setTheme(name),
+    }));
+
+    return [...this.actions, ...themes];
+  }
+
+  async getResults(query) {
+    const { pages: found, suggestion } = await this.findPages(query);
+    const corrections = suggestion
+      ? [
+          {
+            group: "Did you mean",
+            title: suggestion,
+            icon: "✏️",
+            query: suggestion,
+            refine: true,
+          },
+        ]
+      : [];
+    const pages = found.map((page) => ({
+      ...page,
+      group: "Documentation",
+    }));
+    const headings = this.findHeadings(query).map((heading) => ({
+      ...heading,
+      group: "On this page",
+    }));
+    const actions = this.getActions()
+      .map((action) => ({
+        ...action,
+        score: this.fuzzyScore(query, action.title),
+      }))
+      .filter((action) => action.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map((action) => ({ ...action, group: "Actions" }));
+
+    return [...corrections, ...pages, ...headings, ...actions];
+  }
+
+  async findPages(query) {
+    if (!this.search.isReady) return { pages: [], suggestion: null };
+
+    const matches = new Map();
+    let suggestion = null;
+
+    // Fuzzy page and heading title matches rank ahead of full-text hits
+    this.search.sections.forEach((section) => {
+      const score = this.fuzzyScore(query, section.title);
+      if (score > 0) {
+        matches.set(section.id, { section, score: score + 1000 });
+      }
+    });
+
+    try {
+      const { results, corrections } = await this.search.search(query);
+      results.forEach(({ section, score }) => {
+        if (!matches.has(section.id)) {
+          matches.set(section.id, { section, score });
+        }
+      });
+      suggestion = this.search.applyCorrections(query, corrections);
+    } catch (error) {
+      console.error("Search error:", error);
+    }
+
+    const pages = [...matches.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 8)
+      .map(({ section }) => ({
+        title: this.search.getSectionLabel(section),
+        subtitle: section.isIntro ? section.description : "",
+        icon: section.isIntro ? "📄" : "§",
+        url: this.search.getSectionUrl(section, query),
+        query,
+      }));
+
+    return { pages, suggestion };
+  }
+
+  findHeadings(query) {
+    const headings = document.querySelectorAll(".prose h2[id], .prose h3[id]");
+
+    return Array.from(headings)
+      .map((heading) => ({
+        heading,
+        score: this.fuzzyScore(query, heading.textContent),
+      }))
+      .filter((match) => match.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 5)
+      .map(({ heading }) => ({
+        title: heading.textContent.replace(/🔗/g, "").trim(),
+        icon: "#",
+        url: `#${heading.id}`,
+        query,
+      }));
+  }
+
+  // Subsequence match: every query character must appear in order.
+  // Contiguous and early matches score higher.
+  fuzzyScore(query, text) {
+    const needle = query.toLowerCase();
+    const haystack = (text || "").toLowerCase();
+
+    const direct = haystack.indexOf(needle);
+    if (direct !== -1) {
+      return 100 + needle.length * 2 - Math.min(direct, 50);
+    }
+
+    let score = 0;
+    let streak = 0;
+    let position = 0;
+
+    for (const char of needle) {
+      if (char === " ") continue;
+
+      const found = haystack.indexOf(char, position);
+      if (found === -1) return 0;
+
+      streak = found === position ? streak + 1 : 0;
+      score += 1 + streak;
+      position = found + 1;
+    }
+
+    return score;
+  }
+
+  render(query) {
+    if (this.items.length === 0) {
+      const message =
+        query && !this.search.isReady
+          ? "Loading search index..."
+          : "No results found";
+      this.list.innerHTML = `<li class="palette-empty">${message}</li>`;
+      this.input.removeAttribute("aria-activedescendant");
+      return;
+    }
+
+    let currentGroup = null;
+    const html = this.items
+      .map((item, index) => {
+        let header = "";
+        if (item.group !== currentGroup) {
+          currentGroup = item.group;
+          header = `<li class="palette-group" role="presentation">${this.escapeHtml(item.group)}</li>`;
+        }
+
+        return `${header}
+          <li class="palette-item" id="palette-item-${index}" role="option" data-index="${index}" aria-selected="false">
+              <span class="palette-item-icon" aria-hidden="true">${item.icon}</span>
+              <span class="palette-item-text">
+                  <span class="palette-item-title">${this.search.highlightText(this.escapeHtml(item.title), query)}</span>
+                  ${item.subtitle ? `<span class="palette-item-subtitle">${this.escapeHtml(item.subtitle)}</span>` : ""}
+              </span>
+          </li>`;
+      })
+      .join("");
+
+    this.list.innerHTML = html;
+    this.select(this.selectedIndex);
+  }
+
+  select(index) {
+    const items = this.list.querySelectorAll(".palette-item");
+    if (items.length === 0) return;
+
+    this.selectedIndex = (index + items.length) % items.length;
+    items.forEach((item, i) => {
+      const selected = i === this.selectedIndex;
+      item.classList.toggle("selected", selected);
+      item.setAttribute("aria-selected", selected);
+      if (selected) {
+        item.scrollIntoView({ block: "nearest" });
+        this.input.setAttribute("aria-activedescendant", item.id);
+      }
+    });
+  }
+
+  execute(index) {
+    const item = this.items[index];
+    if (!item) return;
+
+    // Recent searches and corrections refill the input instead of navigating
+    if (item.refine) {
+      this.input.value = item.query;
+      this.update();
+      return;
+    }
+
+    if (item.query) {
+      this.saveRecentSearch(item.query);
+    }
+
+    this.close();
+
+    if (item.run) {
+      item.run();
+    } else if (item.external) {
+      window.open(item.url, "_blank", "noopener");
+    } else if (item.url) {
+      window.IgnitiaRouter.visit(item.url);
+    }
+  }
+
+  handleKeyboard(e) {
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault();
+        this.select(this.selectedIndex + 1);
+        break;
+
+      case "ArrowUp":
+        e.preventDefault();
+        this.select(this.selectedIndex - 1);
+        break;
+
+      case "Enter":
+        e.preventDefault();
+        this.execute(this.selectedIndex);
+        break;
+
+      case "Escape":
+        e.preventDefault();
+        this.close();
+        break;
+
+      case "Tab":
+        // Keep focus inside the dialog
+        e.preventDefault();
+        break;
+    }
+  }
+
+  getRecentSearches() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  saveRecentSearch(query) {
+    const recent = this.getRecentSearches().filter((term) => term !== query);
+    recent.unshift(query);
+    localStorage.setItem(
+      this.storageKey,
+      JSON.stringify(recent.slice(0, this.maxRecent)),
+    );
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
 // CSS for search highlights
 const searchStyles = `
     .search-result.selected {
@@ -272,9 +985,17 @@ const styleSheet = document.createElement("style");
 styleSheet.textContent = searchStyles;
 document.head.appendChild(styleSheet);
 
-// Initialize search when DOM is ready
+// Initialize search and the command palette when DOM is ready
+function initSearch() {
+  const search = new IgnitiaSearch();
+  new CommandPalette(search);
+
+  // Shared with page scripts such as the 404 suggestions
+  window.IgnitiaSearchEngine = search;
+}
+
 if (document.readyState === "loading") {
-  document.addEventListener("DOMContentLoaded", () => new IgnitiaSearch());
+  document.addEventListener("DOMContentLoaded", initSearch);
 } else {
-  new IgnitiaSearch();
+  initSearch();
 }
@@ -0,0 +1,173 @@
+// Service worker for Ignitia docs
+// Precaches the site shell and serves pages stale-while-revalidate so the
+// docs keep working offline. Registered from main.js as
+// sw.js?v=<config.extra.version>&lang=<lang>; a new version gets fresh
+// caches and the old ones are dropped on activate. Older docs versions live
+// in v<version>/ folders with their own worker, so caches are kept per scope.
+const params = new URL(self.location.href).searchParams;
+const VERSION = params.get("v") || "dev";
+const LANG = params.get("lang") || "en";
+
+const SCOPE = new URL(self.registration.scope).pathname;
+
+const SHELL_CACHE = `ignitia-shell-${VERSION}@${SCOPE}`;
+const PAGES_CACHE = `ignitia-pages-${VERSION}@${SCOPE}`;
+
+const SHELL_ASSETS = [
+  "./",
+  "style.css",
+  "syntax-light.css",
+  "syntax-dark.css",
+  "js/main.js",
+  "js/search.js",
+  "js/search-worker.js",
+  "js/route-matcher.js",
+  `search_index.${LANG}.js`,
+  "search-sections/",
+  "manifest.json",
+  "favicon.ico",
+]
+  .map((path) => new URL(path, self.registration.scope).href)
+  .concat("https://unpkg.com/elasticlunr@0.9.5/elasticlunr.min.js");
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      // Cache what we can; one missing asset shouldn't block installing
+      .then((cache) =>
+        Promise.all(
+          SHELL_ASSETS.map((url) =>
+            cache.add(url).catch((error) => {
+              console.warn(`Failed to precache ${url}:`, error);
+            }),
+          ),
+        ),
+      )
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter(
+              (key) =>
+                key.startsWith("ignitia-") &&
+                (key.endsWith(`@${SCOPE}`) || !key.includes("@")) &&
+                key !== SHELL_CACHE &&
+                key !== PAGES_CACHE,
+            )
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  const isShell = SHELL_ASSETS.includes(url.href);
+  if (url.origin !== self.location.origin && !isShell) return;
+  // Pages of older versions belong to their own worker
+  if (/^v\d+\./.test(url.pathname.slice(SCOPE.length))) return;
+
+  event.respondWith(
+    staleWhileRevalidate(event, isShell ? SHELL_CACHE : PAGES_CACHE),
+  );
+});
+
+// Answer from cache straight away and refresh it in the background; fall
+// back to the network (and then the cached home page) on a miss
+async function staleWhileRevalidate(event, cacheName) {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+  const key = cacheKey(request.url);
+  const cached = await cache.match(key);
+
+  const network = fetch(request).catch(() => null);
+
+  // Keep the worker alive until the refreshed copy is stored
+  event.waitUntil(
+    network
+      .then((response) => {
+        if (response && response.ok) {
+          return cache.put(key, response.clone());
+        }
+      })
+      .catch((error) => console.error("Failed to update the cache:", error)),
+  );
+
+  if (cached) {
+    return cached;
+  }
+
+  const response = await network;
+  if (response) {
+    return response;
+  }
+
+  if (request.mode === "navigate") {
+    const home = await caches.match(
+      new URL("./", self.registration.scope).href,
+    );
+    if (home) return home;
+  }
+
+  return new Response("You are offline and this page hasn't been saved yet.", {
+    status: 503,
+    headers: { "Content-Type": "text/plain; charset=utf-8" },
+  });
+}
+
+// Pages are stored without query string or hash (e.g. ?highlight=...)
+function cacheKey(url) {
+  const key = new URL(url);
+  if (key.origin === self.location.origin) {
+    key.search = "";
+  }
+  key.hash = "";
+  return key.href;
+}
+
+// { type: "cache-pages", urls } saves pages for offline reading and reports
+// { type: "cache-progress", done, total, failed } back to the page
+self.addEventListener("message", (event) => {
+  const { type, urls } = event.data || {};
+  if (type !== "cache-pages" || !Array.isArray(urls)) return;
+
+  event.waitUntil(cachePages(urls, event.source));
+});
+
+async function cachePages(urls, client) {
+  const cache = await caches.open(PAGES_CACHE);
+  let done = 0;
+  let failed = 0;
+
+  for (const url of urls) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      await cache.put(cacheKey(url), response);
+    } catch (error) {
+      failed++;
+    }
+
+    done++;
+    if (client) {
+      client.postMessage({
+        type: "cache-progress",
+        done,
+        total: urls.length,
+        failed,
+      });
+    }
+  }
+}
@@ -0,0 +1,142 @@
+// Suggestions on the 404 page for mistyped docs URLs.
+// Run with: node --test themes/ignitia-theme/tests/
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const NotFoundHelper = require("../static/js/not-found.js");
+
+const pages = [
+  "getting-started",
+  "installation",
+  "routing",
+  "middleware",
+  "requests",
+  "responses",
+  "extractors",
+  "error-handling",
+  "websockets",
+  "static-files",
+  "server-configuration",
+  "api-reference",
+];
+
+// Just enough of the DOM for the 404 page's suggestion list and search box
+class FakeElement extends EventTarget {
+  constructor(tagName) {
+    super();
+    this.tagName = tagName;
+    this.children = [];
+    this.hidden = true;
+    this.value = "";
+    this.textContent = "";
+  }
+
+  appendChild(child) {
+    this.children.push(child);
+    return child;
+  }
+
+  replaceChildren(...children) {
+    this.children = children;
+  }
+}
+
+function setup(path) {
+  const elements = {
+    "error-matches": new FakeElement("div"),
+    "error-match-list": new FakeElement("ul"),
+    "search-input": new FakeElement("input"),
+  };
+  const replaced = [];
+  const searches = [];
+
+  globalThis.document = {
+    getElementById: (id) => elements[id] || null,
+    createElement: (tagName) => new FakeElement(tagName),
+  };
+  globalThis.fetch = async () => ({ ok: false, status: 404 });
+  globalThis.window = {
+    location: {
+      pathname: path,
+      hash: "",
+      replace: (url) => replaced.push(url),
+    },
+    IgnitiaConfig: {
+      url: (p = "") => `https://example.test/${p}`,
+      link: (permalink) => permalink,
+    },
+    IgnitiaSearchEngine: {
+      sections: pages.map((page) => ({
+        url: `https://example.test/docs/${page}/`,
+        pageTitle: page
+          .split("-")
+          .map((word) => word[0].toUpperCase() + word.slice(1))
+          .join(" "),
+        title: "",
+        anchor: "",
+        isIntro: true,
+      })),
+      loadIndex: async () => {},
+      search: async () => ({ results: [], corrections: {} }),
+      getSectionUrl: (section) => section.url,
+      getSectionLabel: (section) => section.pageTitle,
+    },
+  };
+  elements["search-input"].addEventListener("input", (e) =>
+    searches.push(e.target.value),
+  );
+
+  return { elements, replaced, searches };
+}
+
+async function run(path) {
+  const page = setup(path);
+  new NotFoundHelper();
+  // Let init() run to the end; the stubs above all resolve at once
+  await new Promise((resolve) => setImmediate(resolve));
+  return page;
+}
+
+describe("NotFoundHelper", () => {
+  let globals;
+
+  beforeEach(() => {
+    globals = {
+      window: globalThis.window,
+      document: globalThis.document,
+      fetch: globalThis.fetch,
+    };
+  });
+
+  afterEach(() => Object.assign(globalThis, globals));
+
+  it("suggests the closest pages for a mistyped URL", async () => {
+    const { elements, replaced } = await run("/docs/errors/");
+    const list = elements["error-match-list"];
+
+    assert.deepEqual(replaced, []);
+    assert.equal(elements["error-matches"].hidden, false);
+    assert.deepEqual(
+      list.children.map((item) => item.children[0].textContent),
+      ["Error Handling", "Extractors"],
+    );
+    assert.equal(
+      list.children[0].children[0].href,
+      "https://example.test/docs/error-handling/",
+    );
+  });
+
+  it("runs a search for the words in the path", async () => {
+    const { elements, searches } = await run("/docs/errors/");
+
+    assert.equal(elements["search-input"].value, "errors");
+    assert.deepEqual(searches, ["errors"]);
+  });
+
+  it("redirects when one page clearly matches", async () => {
+    const { elements, replaced } = await run("/docs/midleware/");
+
+    assert.deepEqual(replaced, ["https://example.test/docs/middleware/"]);
+    assert.equal(elements["error-matches"].hidden, true);
+  });
+});
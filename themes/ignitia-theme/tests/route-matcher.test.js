@@ -0,0 +1,204 @@
+// Matching cases from content/docs/routing.md.
+// Run with: node --test themes/ignitia-theme/tests/
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const RouteMatcher = require("../static/js/route-matcher.js");
+
+function match(patterns, path) {
+  const result = new RouteMatcher(patterns).match(path);
+  return result && { pattern: result.route.pattern, params: result.params };
+}
+
+describe("RouteMatcher", () => {
+  describe("route matching priority", () => {
+    const routes = ["/files/{*path}", "/users/{id}", "/users/profile"];
+
+    it("prefers exact static matches", () => {
+      assert.deepEqual(match(routes, "/users/profile"), {
+        pattern: "/users/profile",
+        params: {},
+      });
+    });
+
+    it("falls back to parameterized routes", () => {
+      assert.deepEqual(match(routes, "/users/42"), {
+        pattern: "/users/{id}",
+        params: { id: "42" },
+      });
+    });
+
+    it("tries wildcard routes last", () => {
+      assert.deepEqual(
+        match(["/files/{*path}", "/files/{name}"], "/files/logo.png"),
+        { pattern: "/files/{name}", params: { name: "logo.png" } },
+      );
+    });
+
+    it("orders routes per node of the tree, not globally", () => {
+      const ordered = new RouteMatcher([
+        "/files/{*path}",
+        "/users/{id}",
+        "/users/profile",
+      ]).ordered.map((route) => route.pattern);
+
+      assert.deepEqual(ordered, [
+        "/files/{*path}",
+        "/users/profile",
+        "/users/{id}",
+      ]);
+    });
+  });
+
+  describe("radix tree routing", () => {
+    const routes = ["/users/{id}", "/users/{id}/posts", "/api/v1/health"];
+
+    it("matches nested routes below a parameter", () => {
+      assert.deepEqual(match(routes, "/users/7/posts"), {
+        pattern: "/users/{id}/posts",
+        params: { id: "7" },
+      });
+    });
+
+    it("matches static routes", () => {
+      assert.deepEqual(match(routes, "/api/v1/health"), {
+        pattern: "/api/v1/health",
+        params: {},
+      });
+    });
+
+    it("backtracks when a static branch doesn't lead to a match", () => {
+      assert.deepEqual(
+        match(
+          ["/users/profile/settings", "/users/{id}/posts"],
+          "/users/profile/posts",
+        ),
+        { pattern: "/users/{id}/posts", params: { id: "profile" } },
+      );
+    });
+
+    it("matches the root route", () => {
+      assert.deepEqual(match(["/", "/about"], "/"), {
+        pattern: "/",
+        params: {},
+      });
+      assert.deepEqual(match(["/", "/about"], "/about"), {
+        pattern: "/about",
+        params: {},
+      });
+    });
+  });
+
+  describe("path parameters", () => {
+    it("extracts multiple parameters", () => {
+      assert.deepEqual(
+        match(["/users/{user_id}/posts/{post_id}"], "/users/1/posts/2"),
+        {
+          pattern: "/users/{user_id}/posts/{post_id}",
+          params: { user_id: "1", post_id: "2" },
+        },
+      );
+    });
+
+    it("decodes parameter values", () => {
+      assert.deepEqual(match(["/posts/{slug}"], "/posts/hello%20world"), {
+        pattern: "/posts/{slug}",
+        params: { slug: "hello world" },
+      });
+    });
+
+    it("doesn't match an empty segment", () => {
+      assert.equal(match(["/users/{id}"], "/users/"), null);
+    });
+
+    it("ignores the query string", () => {
+      assert.deepEqual(match(["/search"], "/search?q=router"), {
+        pattern: "/search",
+        params: {},
+      });
+    });
+
+    it("accepts the :name and *name shorthands", () => {
+      assert.deepEqual(match(["/users/:id"], "/users/42"), {
+        pattern: "/users/:id",
+        params: { id: "42" },
+      });
+      assert.deepEqual(match(["/files/*path"], "/files/a/b"), {
+        pattern: "/files/*path",
+        params: { path: "a/b" },
+      });
+    });
+  });
+
+  describe("wildcard parameters", () => {
+    it("captures the rest of the path", () => {
+      assert.deepEqual(match(["/files/{*path}"], "/files/docs/readme.md"), {
+        pattern: "/files/{*path}",
+        params: { path: "docs/readme.md" },
+      });
+    });
+
+    it("needs at least one character", () => {
+      assert.equal(match(["/files/{*path}"], "/files/"), null);
+      assert.equal(match(["/files/{*path}"], "/files"), null);
+    });
+  });
+
+  describe("route groups and nesting", () => {
+    const routes = [
+      "/",
+      "/api/v1/users",
+      "/api/v1/users/{id}",
+      "/api/v2/users",
+    ];
+
+    it("matches routes under a nested prefix", () => {
+      assert.deepEqual(match(routes, "/api/v1/users/5"), {
+        pattern: "/api/v1/users/{id}",
+        params: { id: "5" },
+      });
+    });
+
+    it("returns null when nothing matches", () => {
+      assert.equal(match(routes, "/api/v3/users"), null);
+      assert.equal(match(routes, "/api/v2/users/5"), null);
+    });
+
+    it("treats a trailing slash as a different path", () => {
+      assert.equal(match(routes, "/api/v1/users/"), null);
+    });
+  });
+
+  describe("invalid routes", () => {
+    it("reports routes that conflict", () => {
+      const matcher = new RouteMatcher(["/users/{id}", "/users/{name}"]);
+
+      assert.deepEqual(matcher.errors, [
+        { pattern: "/users/{name}", message: "Conflicts with /users/{id}" },
+      ]);
+      assert.equal(matcher.routes.length, 1);
+    });
+
+    it("rejects malformed patterns", () => {
+      const matcher = new RouteMatcher([
+        "users",
+        "/files/{*path}/raw",
+        "/users/user-{id}",
+        "/users/{id}/posts/{id}",
+        "/users/{}",
+      ]);
+
+      assert.deepEqual(
+        matcher.errors.map((error) => error.message),
+        [
+          "Routes must start with /",
+          "A wildcard must be the last segment",
+          "A parameter must be a whole path segment",
+          'Duplicate parameter "id"',
+          'Invalid parameter name ""',
+        ],
+      );
+      assert.equal(matcher.routes.length, 0);
+    });
+  });
+});